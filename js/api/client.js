@@ -0,0 +1,273 @@
+/**
+ * ==========================================================================
+ * wanderland - API Client
+ * ==========================================================================
+ *
+ * Cliente HTTP compartido sobre CONFIG.API:
+ *   - Timeout por intento con AbortController
+ *   - Reintentos con backoff exponencial (retry de utils.js) solo para
+ *     fallos transitorios: red, timeout, 5xx y 429
+ *   - Cancelación con `signal`
+ *   - Deduplicación: dos GET iguales en vuelo comparten la misma petición
+ *   - Transporte intercambiable: por defecto fetch; con setTransport() o
+ *     CONFIG.API.USE_MOCK se usa un servidor falso (ver mock-server.js)
+ *
+ * Los errores son subclases de ApiError y su `message` ya es el texto para
+ * el usuario (CONFIG.MESSAGES.ERRORS.NETWORK o GENERIC). El detalle técnico
+ * queda en `cause`.
+ */
+
+import { CONFIG } from '../config.js';
+import { retry } from '../utils.js';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+let customTransport = null;
+let mockTransport = null;
+
+// Peticiones GET en vuelo, por clave "MÉTODO url"
+const inFlight = new Map();
+
+// ==========================================================================
+// Errors
+// ==========================================================================
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, body = null, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable;
+  }
+}
+
+/** Sin conexión o el servidor no respondió */
+export class NetworkError extends ApiError {
+  constructor(cause) {
+    super(CONFIG.MESSAGES.ERRORS.NETWORK, { retryable: true, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+/** Se superó CONFIG.API.TIMEOUT */
+export class TimeoutError extends ApiError {
+  constructor(timeout) {
+    super(CONFIG.MESSAGES.ERRORS.NETWORK, { retryable: true, cause: new Error(`Timeout de ${timeout} ms`) });
+    this.name = 'TimeoutError';
+  }
+}
+
+/** El servidor respondió con un estado de error */
+export class HttpError extends ApiError {
+  constructor(status, body) {
+    super(CONFIG.MESSAGES.ERRORS.GENERIC, {
+      status,
+      body,
+      retryable: status >= 500 || status === 429,
+      cause: new Error(`HTTP ${status}`),
+    });
+    this.name = 'HttpError';
+  }
+}
+
+/** Quien hizo la petición la canceló: no hay que mostrar nada */
+export class RequestAbortedError extends ApiError {
+  constructor() {
+    super(CONFIG.MESSAGES.ERRORS.GENERIC);
+    this.name = 'RequestAbortedError';
+  }
+}
+
+// ==========================================================================
+// Transport
+// ==========================================================================
+
+/**
+ * Cambia el transporte. Un transporte tiene la misma firma que fetch:
+ * (url, init) => Promise<Response>
+ * @param {Function|null} transport - null vuelve al transporte por defecto
+ */
+export function setTransport(transport) {
+  customTransport = transport;
+  inFlight.clear();
+}
+
+async function getTransport() {
+  if (customTransport) return customTransport;
+  if (!CONFIG.API.USE_MOCK) return (url, init) => fetch(url, init);
+
+  if (!mockTransport) {
+    const { createFakeServer } = await import('./mock-server.js');
+    mockTransport = createFakeServer();
+  }
+  return mockTransport;
+}
+
+// ==========================================================================
+// Requests
+// ==========================================================================
+
+/**
+ * Hace una petición a la API
+ * @param {string} path - Ej: CONFIG.API.ENDPOINTS.ITINERARIES
+ * @param {object} options
+ * @param {string} options.method - 'GET' por defecto
+ * @param {object} options.query - Parámetros de la query string
+ * @param {*} options.body - Se envía como JSON
+ * @param {object} options.headers
+ * @param {AbortSignal} options.signal - Para cancelar
+ * @param {number} options.timeout - Por intento; CONFIG.API.TIMEOUT por defecto
+ * @param {number} options.retries - CONFIG.API.RETRY_ATTEMPTS por defecto
+ * @param {boolean} options.dedupe - Compartir GET iguales en vuelo (true por defecto)
+ * @returns {Promise<*>} - Cuerpo de la respuesta (JSON, texto o null)
+ * @throws {ApiError}
+ */
+export function request(path, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const url = buildUrl(path, options.query);
+  const { signal, dedupe = IDEMPOTENT_METHODS.includes(method) } = options;
+
+  if (signal?.aborted) return Promise.reject(new RequestAbortedError());
+  if (!dedupe) return subscribe(startRequest(url, method, options), signal);
+
+  const key = `${method} ${url}`;
+  let shared = inFlight.get(key);
+  if (!shared) {
+    shared = startRequest(url, method, options);
+    inFlight.set(key, shared);
+    shared.promise.finally(() => {
+      if (inFlight.get(key) === shared) inFlight.delete(key);
+    }).catch(() => {});
+  }
+  return subscribe(shared, signal);
+}
+
+export function get(path, options = {}) {
+  return request(path, { ...options, method: 'GET' });
+}
+
+export function post(path, body, options = {}) {
+  return request(path, { ...options, method: 'POST', body });
+}
+
+export function put(path, body, options = {}) {
+  return request(path, { ...options, method: 'PUT', body });
+}
+
+export function patch(path, body, options = {}) {
+  return request(path, { ...options, method: 'PATCH', body });
+}
+
+export function del(path, options = {}) {
+  return request(path, { ...options, method: 'DELETE' });
+}
+
+/**
+ * Arranca la petición real (con sus reintentos). Se cancela solo cuando
+ * todos los que esperan el resultado han cancelado.
+ */
+function startRequest(url, method, options) {
+  const controller = new AbortController();
+  const {
+    timeout = CONFIG.API.TIMEOUT,
+    retries = CONFIG.API.RETRY_ATTEMPTS,
+  } = options;
+
+  const init = {
+    method,
+    headers: { Accept: 'application/json', ...options.headers },
+  };
+  if (options.body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(options.body);
+  }
+
+  const attempt = () => send(url, init, timeout, controller.signal);
+  const promise = retry(attempt, retries, CONFIG.API.RETRY_DELAY, {
+    factor: 2,
+    shouldRetry: error => error.retryable && !controller.signal.aborted,
+  });
+
+  return { promise, controller, subscribers: 0 };
+}
+
+/**
+ * Espera el resultado de una petición compartida respetando la señal de
+ * cancelación de este llamador
+ */
+function subscribe(shared, signal) {
+  shared.subscribers++;
+  if (!signal) return shared.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(new RequestAbortedError());
+      if (--shared.subscribers === 0) shared.controller.abort();
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+/**
+ * Un intento: transporte + timeout + lectura del cuerpo
+ */
+async function send(url, init, timeout, parentSignal) {
+  if (parentSignal.aborted) throw new RequestAbortedError();
+
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort();
+  parentSignal.addEventListener('abort', onParentAbort, { once: true });
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    const transport = await getTransport();
+    const response = await transport(url, { ...init, signal: controller.signal });
+    const body = await readBody(response);
+    if (!response.ok) throw new HttpError(response.status, body);
+    return body;
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (timedOut) throw new TimeoutError(timeout);
+    if (parentSignal.aborted) throw new RequestAbortedError();
+    throw new NetworkError(error);
+  } finally {
+    clearTimeout(timer);
+    parentSignal.removeEventListener('abort', onParentAbort);
+  }
+}
+
+async function readBody(response) {
+  if (response.status === 204) return null;
+  const type = response.headers.get('Content-Type') || '';
+  const text = await response.text();
+  if (!type.includes('json')) return text;
+
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    // Respuesta rota: reintentar no la va a arreglar
+    throw new ApiError(CONFIG.MESSAGES.ERRORS.GENERIC, { status: response.status, cause: error });
+  }
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function buildUrl(path, query) {
+  const url = new URL(CONFIG.API.BASE_URL + path, window.location.href);
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+  return url.toString();
+}
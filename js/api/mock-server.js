@@ -0,0 +1,197 @@
+/**
+ * ==========================================================================
+ * wanderland - Mock Server
+ * ==========================================================================
+ *
+ * Servidor falso en memoria para desarrollar sin backend. Se usa como
+ * transporte del cliente (ver client.js):
+ *
+ *   setTransport(createMockTransport({
+ *     'GET /api/destinations': ({ query }) => [...],
+ *     'GET /api/itineraries/:id': ({ params }) => ({ status: 404 }),
+ *   }));
+ *
+ * Un handler recibe { method, path, params, query, body, headers } y
+ * devuelve el cuerpo de la respuesta (status 200) o un objeto
+ * { status, body }. Si lanza un error se responde 500.
+ *
+ * createFakeServer() ya trae rutas para CONFIG.API.ENDPOINTS. Sus
+ * itinerarios respetan Idempotency-Key (repetir una petición devuelve la
+ * misma respuesta sin aplicarla dos veces) e If-Match (409 con la versión
+ * del servidor si `rev` no coincide).
+ */
+
+import { CONFIG } from '../config.js';
+
+// ==========================================================================
+// Transport
+// ==========================================================================
+
+/**
+ * Crea un transporte con la firma de fetch que enruta a handlers locales
+ * @param {object} routes - { 'MÉTODO /ruta/:param': handler }
+ * @param {object} options
+ * @param {number} options.latency - Milisegundos de espera simulada
+ * @returns {Function} - (url, init) => Promise<Response>
+ */
+export function createMockTransport(routes, { latency = CONFIG.API.MOCK_LATENCY } = {}) {
+  const compiled = Object.entries(routes).map(([route, handler]) => {
+    const [method, pattern] = route.split(' ');
+    return { method: method.toUpperCase(), pattern: pattern.split('/'), handler };
+  });
+
+  return async function mockTransport(input, init = {}) {
+    const url = new URL(input, 'http://localhost');
+    const method = (init.method || 'GET').toUpperCase();
+
+    await wait(latency, init.signal);
+
+    const match = matchRoute(compiled, method, url.pathname);
+    if (!match) return jsonResponse(404, { error: 'Not found' });
+
+    const req = {
+      method,
+      path: url.pathname,
+      params: match.params,
+      query: Object.fromEntries(url.searchParams),
+      body: init.body ? JSON.parse(init.body) : null,
+      headers: normalizeHeaders(init.headers),
+    };
+
+    try {
+      const result = await match.handler(req);
+      const isResponse = result && typeof result === 'object' && 'status' in result;
+      return isResponse
+        ? jsonResponse(result.status, result.body ?? null)
+        : jsonResponse(200, result ?? null);
+    } catch (error) {
+      console.warn('⚠️ Mock server:', error);
+      return jsonResponse(500, { error: error.message });
+    }
+  };
+}
+
+function matchRoute(compiled, method, pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+
+  for (const route of compiled) {
+    if (route.method !== method || route.pattern.length !== parts.length) continue;
+
+    const params = {};
+    const ok = route.pattern.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(parts[i]);
+        return true;
+      }
+      return segment === parts[i];
+    });
+    if (ok) return { handler: route.handler, params };
+  }
+  return null;
+}
+
+function jsonResponse(status, body) {
+  return new Response(status === 204 ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+function normalizeHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+/**
+ * Espera la latencia simulada; se corta si la petición se cancela
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    if (signal?.aborted) return abort();
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+// ==========================================================================
+// Fake server
+// ==========================================================================
+
+/**
+ * Servidor falso con los endpoints de CONFIG.API.ENDPOINTS
+ * @param {object} seed
+ * @param {Array} seed.destinations - Destinos iniciales
+ * @param {Array} seed.itinerarios - Itinerarios iniciales
+ * @param {object} options - Ver createMockTransport
+ * @returns {Function} - Transporte
+ */
+export function createFakeServer(seed = {}, options = {}) {
+  const { DESTINATIONS, ITINERARIES, WEATHER } = CONFIG.API.ENDPOINTS;
+  const destinations = [...(seed.destinations || [])];
+  const itinerarios = new Map((seed.itinerarios || []).map(it => [it.id, structuredClone(it)]));
+  const idempotent = new Map();
+
+  // Envuelve un handler de escritura con Idempotency-Key e If-Match
+  const write = handler => req => {
+    const key = req.headers['idempotency-key'];
+    if (key && idempotent.has(key)) return idempotent.get(key);
+
+    const current = req.params.id ? itinerarios.get(req.params.id) : null;
+    const ifMatch = req.headers['if-match'];
+    const result = ifMatch !== undefined && String(current?.rev) !== ifMatch
+      ? { status: 409, body: { error: 'Conflict', itinerario: current ?? null } }
+      : handler(req, current);
+
+    if (key) idempotent.set(key, result);
+    return result;
+  };
+
+  return createMockTransport({
+    [`GET ${DESTINATIONS}`]: ({ query }) => {
+      const q = (query.q || '').toLowerCase();
+      return destinations.filter(d => !q || d.name.toLowerCase().includes(q));
+    },
+
+    [`GET ${ITINERARIES}`]: () => [...itinerarios.values()],
+
+    [`GET ${ITINERARIES}/:id`]: ({ params }) => {
+      const it = itinerarios.get(params.id);
+      return it || { status: 404, body: { error: 'Not found' } };
+    },
+
+    [`POST ${ITINERARIES}`]: write(({ body }) => {
+      if (!body?.id) return { status: 400, body: { error: 'Falta el id' } };
+      if (itinerarios.has(body.id)) {
+        return { status: 409, body: { error: 'Conflict', itinerario: itinerarios.get(body.id) } };
+      }
+      itinerarios.set(body.id, body);
+      return { status: 201, body };
+    }),
+
+    [`PUT ${ITINERARIES}/:id`]: write(({ params, body }) => {
+      itinerarios.set(params.id, { ...body, id: params.id });
+      return itinerarios.get(params.id);
+    }),
+
+    [`DELETE ${ITINERARIES}/:id`]: write(({ params }, current) => {
+      if (!current) return { status: 404, body: { error: 'Not found' } };
+      itinerarios.delete(params.id);
+      return { status: 204 };
+    }),
+
+    [`GET ${WEATHER}`]: ({ query }) => ({
+      city: query.city || '',
+      temperature: 22,
+      condition: 'soleado',
+    }),
+  }, options);
+}
@@ -18,7 +18,7 @@ export const CONFIG = {
     MAX_LENGTH: 100,
     ERROR_TIMEOUT: 5000,        // Tiempo en ms antes de ocultar errores
     SUBMIT_DELAY: 300,          // Delay antes de redirigir (UX)
-    DEBOUNCE_DELAY: 300,        // Delay para autocomplete futuro
+    DEBOUNCE_DELAY: 300,        // Delay para búsquedas al escribir
   },
   
   // ==========================================================================
@@ -38,6 +38,97 @@ export const CONFIG = {
     THEME: 'wanderland_theme',
     RECENT_DESTINATIONS: 'wanderland_recent_destinations',
     SAVED_ITINERARIES: 'wanderland_itineraries',
+    QUARANTINED_ITINERARIES: 'wanderland_itineraries_quarantine',
+    SYNC_EVENT: 'wanderland_sync_event',
+    UNDO_HISTORY: 'wanderland_undo_history',   // sessionStorage
+    SYNC_OUTBOX: 'wanderland_sync_outbox',
+  },
+  
+  // ==========================================================================
+  // IndexedDB
+  // ==========================================================================
+  DATABASE: {
+    NAME: 'wanderland',
+    VERSION: 1,
+    STORES: {
+      ITINERARIES: 'itinerarios',
+      QUARANTINE: 'quarantine',
+      META: 'meta',
+    },
+  },
+  
+  // ==========================================================================
+  // Undo / Redo
+  // ==========================================================================
+  UNDO: {
+    MAX_ENTRIES: 20,            // Máximo de cambios reversibles por itinerario
+  },
+  
+  // ==========================================================================
+  // Exportar / importar itinerarios (JSON)
+  // ==========================================================================
+  TRANSFER: {
+    FORMAT: 'wanderland-itinerarios',   // Identificador de los archivos exportados
+    VERSION: 1,                         // Versión del formato de exportación
+    MAX_FILE_SIZE: 5 * 1024 * 1024,     // 5 MB
+  },
+  
+  // ==========================================================================
+  // Enlaces compartidos de solo lectura
+  // ==========================================================================
+  SHARE: {
+    VERSION: 1,                 // Versión del formato de los enlaces compartidos
+    HASH_PARAM: 's',            // itinerario-detalle.html#s=...
+    MAX_TEXT_LENGTH: 2000,      // Longitud máxima de cada texto al decodificar
+    MAX_ITEMS: 500,             // Máximo de elementos por lista al decodificar
+    MAX_URL_LENGTH: 8000,       // A partir de aquí algunas apps cortan el enlace
+    MAX_DECODED_BYTES: 2000000, // Tope del JSON descomprimido al decodificar
+  },
+  
+  // ==========================================================================
+  // Calendario (.ics)
+  // ==========================================================================
+  CALENDAR: {
+    PRODID: '-//wanderland//Itinerarios//ES',
+    UID_DOMAIN: 'wanderland',   // Parte derecha de los UID de los eventos .ics
+  },
+  
+  // ==========================================================================
+  // Traslados entre actividades (valores por defecto; cada itinerario puede
+  // ajustarlos a su destino)
+  // ==========================================================================
+  TRAVEL: {
+    DETOUR_FACTOR: 1.3,         // Las calles no van en línea recta
+    WALK_MAX_KM: 1.5,           // Por debajo, el modo por defecto es a pie
+    MODES: {
+      walk: { speed: 4.5, wait: 0, base: 0, perKm: 0 },       // km/h, min, €, €/km
+      transit: { speed: 18, wait: 6, base: 2.2, perKm: 0 },
+      taxi: { speed: 25, wait: 4, base: 3.5, perKm: 1.2 },
+    },
+  },
+  
+  // ==========================================================================
+  // Planificación automática de los días
+  // ==========================================================================
+  SCHEDULE: {
+    DAY_START: '08:00',         // Jornada por defecto (cada itinerario puede cambiarla)
+    DAY_END: '22:00',
+    BUFFER_MIN: 15,             // Traslado si no hay coordenadas para estimarlo
+    DEFAULT_DURATION_MIN: 60,   // Para las de duración desconocida
+    MEALS: [                    // Las de tipo food empiezan dentro de una de estas franjas
+      { label: 'Comida', start: '12:30', end: '15:00' },
+      { label: 'Cena', start: '19:30', end: '21:30' },
+    ],
+  },
+  
+  // ==========================================================================
+  // Sincronización entre pestañas
+  // ==========================================================================
+  SYNC: {
+    CHANNEL_NAME: 'wanderland-itinerarios',
+    MAX_MERGE_ATTEMPTS: 3,      // Reintentos al fusionar una escritura obsoleta
+    OUTBOX_RETRY_DELAY: 30000,  // Primer reintento de un cambio pendiente; se duplica
+    OUTBOX_MAX_RETRY_DELAY: 15 * 60 * 1000,
   },
   
   // ==========================================================================
@@ -46,7 +137,10 @@ export const CONFIG = {
   API: {
     TIMEOUT: 10000,             // Timeout de requests en ms
     RETRY_ATTEMPTS: 3,
+    RETRY_DELAY: 500,           // Primer reintento; se duplica en cada uno
     BASE_URL: '',               // Definir cuando tengas backend
+    USE_MOCK: false,            // true = servidor falso en memoria (js/api/mock-server.js)
+    MOCK_LATENCY: 150,          // Latencia simulada del servidor falso en ms
     ENDPOINTS: {
       DESTINATIONS: '/api/destinations',
       ITINERARIES: '/api/itineraries',
@@ -59,6 +153,7 @@ export const CONFIG = {
   // ==========================================================================
   UI: {
     TOAST_DURATION: 3000,
+    ACTION_TOAST_DURATION: 6000, // Toasts con acción (ej: "Deshacer")
     MODAL_ANIMATION_DURATION: 200,
     SKELETON_MIN_DISPLAY_TIME: 500,
     INFINITE_SCROLL_THRESHOLD: 200,
@@ -96,10 +191,11 @@ export const CONFIG = {
   // ==========================================================================
   FEATURES: {
     ENABLE_ANALYTICS: false,
-    ENABLE_SERVICE_WORKER: false,
+    ENABLE_SERVICE_WORKER: true,
     ENABLE_DARK_MODE: true,
-    ENABLE_OFFLINE_MODE: false,
+    ENABLE_OFFLINE_MODE: true,     // Precarga con sw.js y aviso de "sin conexión"
     ENABLE_NOTIFICATIONS: false,
+    ENABLE_CLOUD_SYNC: false,      // Enviar cambios a CONFIG.API (requiere backend o API.USE_MOCK)
   },
   
   // ==========================================================================
@@ -125,6 +221,15 @@ export const CONFIG = {
       SEARCH_TOO_SHORT: 'La búsqueda debe tener al menos 2 caracteres',
       SEARCH_TOO_LONG: 'La búsqueda es demasiado larga',
       FORM_INVALID: 'Por favor completa todos los campos requeridos',
+      STORAGE_QUOTA: 'No queda espacio para guardar. Elimina o exporta viajes antiguos.',
+      STALE_WRITE: 'Otra pestaña modificó este viaje. Se han cargado sus cambios.',
+      DELETED_ELSEWHERE: 'Este viaje se eliminó en otra pestaña.',
+      IMPORT_INVALID: 'El archivo no es una exportación válida de wanderland.',
+      IMPORT_TOO_LARGE: 'El archivo es demasiado grande para importarlo.',
+      IMPORT_NEWER_VERSION: 'El archivo se creó con una versión más reciente de wanderland.',
+      IMPORT_EMPTY: 'El archivo no contiene itinerarios válidos.',
+      SHARE_INVALID: 'El enlace compartido está incompleto o dañado.',
+      SHARE_NEWER_VERSION: 'El enlace se creó con una versión más reciente de wanderland.',
     },
     SUCCESS: {
       SAVED: 'Guardado exitosamente',
@@ -134,6 +239,7 @@ export const CONFIG = {
     INFO: {
       LOADING: 'Cargando...',
       NO_RESULTS: 'No se encontraron resultados',
+      NO_QUERY: 'Escribe una ciudad, un país o un tipo de viaje para empezar',
       SEARCHING: 'Buscando...',
     }
   },
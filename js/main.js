@@ -16,17 +16,23 @@ import {
   $$,
   validateElements,
   sanitize,
-  debounce,
   setStorage,
   getStorage,
-  formatDate
+  formatDate,
+  isOnline
 } from './utils.js';
+import { registerServiceWorker, setOfflineBanner } from './modules/offline.js';
+import { flushOutbox } from './modules/sync-outbox.js';
+import { getDestinations, getPopularDestinations, formatDestination } from './modules/destinations.js';
+import { initSearchCombobox, rankSuggestions } from './modules/search-suggestions.js';
+import { loadItinerarios } from './modules/itinerary-store.js';
 
 // ==========================================================================
 // App State
 // ==========================================================================
 const appState = {
   searchHistory: [],
+  itineraryDestinations: [],
   isSearching: false,
   currentQuery: '',
 };
@@ -39,6 +45,8 @@ const elements = {
   searchInput: $('input[type="search"]'),
   searchError: $('.search-error'),
   searchButton: $('.search-form button[type="submit"]'),
+  searchSuggestions: $('#search-suggestions'),
+  searchSuggestionsStatus: $('#search-suggestions-status'),
 };
 
 // ==========================================================================
@@ -169,6 +177,18 @@ function loadSearchHistory() {
   }
 }
 
+/**
+ * Quita una búsqueda del historial
+ * @param {string} query - La consulta tal y como está guardada
+ */
+function removeSearchFromHistory(query) {
+  const searchHistory = getStorage(CONFIG.STORAGE_KEYS.SEARCH_HISTORY, [])
+    .filter(item => item.query !== query);
+
+  setStorage(CONFIG.STORAGE_KEYS.SEARCH_HISTORY, searchHistory);
+  appState.searchHistory = searchHistory;
+}
+
 /**
  * Obtiene las últimas búsquedas
  * @param {number} limit - Número de búsquedas a obtener
@@ -256,43 +276,76 @@ function handleSearchInput() {
   }
 }
 
+// ==========================================================================
+// Search Suggestions
+// ==========================================================================
+
+/**
+ * Sugerencias para lo escrito: historial, catálogo de destinos y los
+ * destinos de los itinerarios del usuario
+ * @param {string} query
+ * @returns {Array<object>}
+ */
+function getSearchSuggestions(query) {
+  return rankSuggestions(query, {
+    history: getRecentSearches(CONFIG.HISTORY.MAX_ITEMS).map(item => item.query),
+    destinations: getDestinations().map(destination => ({
+      label: destination.name,
+      sublabel: `${destination.country} · ${destination.region}`,
+      value: destination.name,
+      popular: destination.popular,
+    })),
+    itineraries: appState.itineraryDestinations,
+  });
+}
+
 /**
- * Maneja sugerencias de búsqueda (autocomplete futuro)
- * Usa debounce para no hacer demasiadas llamadas
+ * Destinos de los itinerarios guardados (sin repetir). Si el almacenamiento
+ * falla, las sugerencias siguen funcionando sin ellos.
  */
-const handleSearchSuggestions = debounce(function() {
-  const query = elements.searchInput.value.trim();
-  
-  if (query.length >= CONFIG.SEARCH.MIN_LENGTH) {
-    // TODO: Implementar sugerencias de búsqueda
-    console.log('🔍 Buscando sugerencias para:', query);
+async function loadItineraryDestinations() {
+  try {
+    const { itinerarios } = await loadItinerarios();
+    const catalogo = new Set(getDestinations().map(formatDestination));
+    appState.itineraryDestinations = [...new Set(
+      itinerarios
+        .map(itinerario => (itinerario.destino || '').trim())
+        .filter(destino => destino && !catalogo.has(destino))
+    )];
+  } catch (error) {
+    console.warn('⚠️ No se pudieron cargar los destinos de los itinerarios:', error);
+    appState.itineraryDestinations = [];
   }
-}, CONFIG.SEARCH.DEBOUNCE_DELAY);
+}
+
+/**
+ * Convierte el buscador en combobox con sugerencias
+ */
+function initSearchSuggestions() {
+  if (!elements.searchInput || !elements.searchSuggestions) return;
+
+  initSearchCombobox({
+    input: elements.searchInput,
+    listbox: elements.searchSuggestions,
+    status: elements.searchSuggestionsStatus,
+    getSuggestions: getSearchSuggestions,
+    onSelect: () => elements.searchForm.requestSubmit(),
+    onRemove: suggestion => removeSearchFromHistory(suggestion.value),
+  });
+
+  loadItineraryDestinations();
+}
 
 // ==========================================================================
 // Popular Destinations
 // ==========================================================================
 
-/**
- * Sugerencias de destinos populares (para implementar después)
- */
-const popularDestinations = [
-  { name: 'París', country: 'Francia', image: 'paris.jpg', slug: 'paris' },
-  { name: 'Tokyo', country: 'Japón', image: 'tokyo.jpg', slug: 'tokyo' },
-  { name: 'Nueva York', country: 'Estados Unidos', image: 'nyc.jpg', slug: 'nueva-york' },
-  { name: 'Barcelona', country: 'España', image: 'barcelona.jpg', slug: 'barcelona' },
-  { name: 'Bali', country: 'Indonesia', image: 'bali.jpg', slug: 'bali' },
-  { name: 'Roma', country: 'Italia', image: 'roma.jpg', slug: 'roma' },
-  { name: 'Londres', country: 'Reino Unido', image: 'london.jpg', slug: 'londres' },
-  { name: 'Dubai', country: 'Emiratos Árabes', image: 'dubai.jpg', slug: 'dubai' },
-];
-
 /**
  * Renderiza destinos populares (para implementar después)
  */
 function renderPopularDestinations() {
   // TODO: Implementar cuando tengamos la sección de destinos populares
-  console.log('📍 Destinos populares disponibles:', popularDestinations.length);
+  console.log('📍 Destinos populares disponibles:', getPopularDestinations().length);
 }
 
 // ==========================================================================
@@ -311,9 +364,6 @@ function initEventListeners() {
   // Search input changes
   if (elements.searchInput) {
     elements.searchInput.addEventListener('input', handleSearchInput);
-    
-    // Opcional: Agregar sugerencias de búsqueda
-    // elements.searchInput.addEventListener('input', handleSearchSuggestions);
   }
 
   // Navigation links - Manejo de páginas
@@ -409,15 +459,16 @@ function handleResize() {
  */
 function handleOnline() {
   console.log('✅ Conexión restaurada');
-  // TODO: Sincronizar datos pendientes
+  setOfflineBanner(false);
+  flushOutbox();
 }
 
 /**
- * Maneja cuando el usuario vuelve a estar online
+ * Maneja cuando el usuario pierde la conexión
  */
 function handleOffline() {
   console.log('⚠️ Sin conexión');
-  // TODO: Sincronizar datos pendientes
+  setOfflineBanner(true);
 }
 // ==========================================================================
 // Inicialización principal
@@ -439,9 +490,16 @@ function init() {
   // Inicializar event listeners
   initEventListeners();
 
+  // Autocompletado del buscador
+  initSearchSuggestions();
+
   // Inicializar menú móvil (se encargará de mover/restaurar la nav según viewport)
   initMobileMenu();
 
+  // Soporte offline (service worker + aviso de conexión)
+  registerServiceWorker();
+  if (!isOnline()) handleOffline();
+
   // Enfocar el input de búsqueda automáticamente (solo desktop)
   if (elements.searchInput && !isMobile()) {
     elements.searchInput.focus();
@@ -475,5 +533,5 @@ export {
   validateSearch,
   saveSearchToHistory,
   getRecentSearches,
-  popularDestinations,
+  removeSearchFromHistory,
 };
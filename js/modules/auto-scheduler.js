@@ -0,0 +1,205 @@
+/**
+ * ==========================================================================
+ * wanderland - Auto Scheduler
+ * ==========================================================================
+ *
+ * Pone hora a las actividades "por planificar" de un día (las que tienen
+ * `time` vacío) en los huecos que dejan las que ya la tienen.
+ *
+ * En dos pasos, como la importación: planAutoSchedule() propone las horas
+ * e informa de lo que no cabe, y applyAutoSchedule() devuelve las
+ * actividades con sus horas nuevas.
+ *
+ * Restricciones de cada actividad:
+ * - Dentro de la jornada del itinerario (`jornada`, por defecto la de
+ *   CONFIG.SCHEDULE) y de su horario de apertura (`horario`, opcional).
+ * - Las de tipo `food` empiezan dentro de una franja de comidas, y en cada
+ *   franja solo cabe una.
+ * - Entre una actividad y la siguiente se deja el traslado estimado (ver
+ *   travel.js) o CONFIG.SCHEDULE.BUFFER_MIN si no hay coordenadas.
+ *
+ * Voraz: primero las que tienen menos margen, cada una a la hora más
+ * temprana posible.
+ */
+
+import { CONFIG } from '../config.js';
+import { isFullDayDuration, parseDuration } from './duration.js';
+import { activityInterval, parseTime, formatTime, isUnscheduled } from './day-schedule.js';
+import { estimateLeg, getTravelMode } from './travel.js';
+
+// ==========================================================================
+// Jornada y horarios
+// ==========================================================================
+
+/**
+ * ¿Es un horario {inicio, fin} o {abre, cierra} con dos horas en orden?
+ */
+function franjaValida(desde, hasta) {
+  const inicio = parseTime(desde);
+  const fin = parseTime(hasta);
+  return inicio !== null && fin !== null && fin > inicio;
+}
+
+/**
+ * @param {*} jornada - {inicio: "HH:MM", fin: "HH:MM"}
+ * @returns {boolean}
+ */
+export function isValidDayWindow(jornada) {
+  return Boolean(jornada) && franjaValida(jornada.inicio, jornada.fin);
+}
+
+/**
+ * @param {*} horario - {abre: "HH:MM", cierra: "HH:MM"}
+ * @returns {boolean}
+ */
+export function isValidOpeningHours(horario) {
+  return Boolean(horario) && franjaValida(horario.abre, horario.cierra);
+}
+
+/**
+ * Jornada de un itinerario: la suya o la de CONFIG
+ * @param {object} itinerario
+ * @returns {object} - {inicio, fin} en "HH:MM"
+ */
+export function getDayWindow(itinerario) {
+  if (isValidDayWindow(itinerario?.jornada)) {
+    return { inicio: itinerario.jornada.inicio, fin: itinerario.jornada.fin };
+  }
+  return { inicio: CONFIG.SCHEDULE.DAY_START, fin: CONFIG.SCHEDULE.DAY_END };
+}
+
+function duracion(act) {
+  return parseDuration(act.duration) ?? CONFIG.SCHEDULE.DEFAULT_DURATION_MIN;
+}
+
+/**
+ * Intervalos de minutos en los que puede empezar una actividad
+ */
+function franjasDeInicio(act, jornada) {
+  let desde = parseTime(jornada.inicio);
+  let hasta = parseTime(jornada.fin);
+  if (isValidOpeningHours(act.horario)) {
+    desde = Math.max(desde, parseTime(act.horario.abre));
+    hasta = Math.min(hasta, parseTime(act.horario.cierra));
+  }
+  hasta -= duracion(act);
+
+  const franjas = act.type === 'food' ?
+    CONFIG.SCHEDULE.MEALS.map(comida => ({
+      desde: Math.max(desde, parseTime(comida.start)),
+      hasta: Math.min(hasta, parseTime(comida.end)),
+      comida,
+    })) :
+    [{ desde, hasta }];
+
+  return franjas.filter(f => f.hasta >= f.desde);
+}
+
+// ==========================================================================
+// Plan
+// ==========================================================================
+
+/**
+ * Minutos de traslado entre dos actividades
+ */
+function traslado(from, to, settings) {
+  const estimate = estimateLeg(from, to, settings);
+  if (!estimate) return CONFIG.SCHEDULE.BUFFER_MIN;
+  return estimate.modes[getTravelMode(from, estimate, settings)].minutes;
+}
+
+function motivoSinFranja(act) {
+  if (act.type === 'food') return 'No cabe en las franjas de comidas';
+  if (isValidOpeningHours(act.horario)) return 'No cabe en su horario de apertura';
+  return 'No cabe en la jornada';
+}
+
+/**
+ * Propone hora para las actividades por planificar de un día
+ * @param {object} day - {date, timeZone, activities}
+ * @param {object} opciones - {jornada: {inicio, fin}, settings: de getTravelSettings()}
+ * @returns {object} - {
+ *   asignadas: [{act, time}] en orden de hora
+ *   sinHueco: [{act, motivo}] las que no se han podido colocar
+ * }
+ */
+export function planAutoSchedule(day, { jornada, settings }) {
+  const ocupadas = day.activities
+    .filter(act => !isUnscheduled(act))
+    .map(act => ({ act, interval: activityInterval(act, day) }))
+    .filter(({ interval }) => interval)
+    .map(({ act, interval }) => ({ act, ...interval }));
+
+  // Las de día completo no necesitan hora
+  const pendientes = day.activities
+    .filter(act => isUnscheduled(act) && !isFullDayDuration(act.duration))
+    .map((act, orden) => {
+      const franjas = franjasDeInicio(act, jornada);
+      const margen = franjas.reduce((total, f) => total + f.hasta - f.desde, 0);
+      return { act, franjas, margen, orden };
+    })
+    .sort((a, b) => a.margen - b.margen || a.orden - b.orden);
+
+  const asignadas = [];
+  const sinHueco = [];
+
+  // Franja de comidas ya cubierta por alguna actividad de tipo food que la
+  // toque, aunque empiece antes (una comida a las 12:00 cubre la de 12:30)
+  const comidaCubierta = comida => ocupadas.some(b => b.act.type === 'food' &&
+    b.start <= parseTime(comida.end) && b.end > parseTime(comida.start));
+
+  pendientes.forEach(({ act, franjas: posibles }) => {
+    if (!posibles.length) {
+      sinHueco.push({ act, motivo: motivoSinFranja(act) });
+      return;
+    }
+
+    const franjas = posibles.filter(f => !f.comida || !comidaCubierta(f.comida));
+    if (!franjas.length) {
+      sinHueco.push({ act, motivo: 'Ya hay otra comida en cada franja' });
+      return;
+    }
+
+    const dur = duracion(act);
+    const cabe = inicio => ocupadas.every(b =>
+      b.end + traslado(b.act, act, settings) <= inicio ||
+      inicio + dur + traslado(act, b.act, settings) <= b.start
+    );
+
+    // El inicio más temprano posible es el de una franja o justo después de
+    // llegar desde alguna de las ya colocadas
+    const candidatos = franjas.flatMap(f => [
+      f.desde,
+      ...ocupadas
+        .map(b => b.end + traslado(b.act, act, settings))
+        .filter(t => t >= f.desde && t <= f.hasta),
+    ]).sort((a, b) => a - b);
+
+    const inicio = candidatos.find(cabe);
+    if (inicio === undefined) {
+      sinHueco.push({ act, motivo: 'No queda hueco libre' });
+      return;
+    }
+
+    ocupadas.push({ act, start: inicio, end: inicio + dur });
+    asignadas.push({ act, time: formatTime(inicio) });
+  });
+
+  asignadas.sort((a, b) => a.time.localeCompare(b.time));
+  return { asignadas, sinHueco };
+}
+
+// ==========================================================================
+// Aplicar
+// ==========================================================================
+
+/**
+ * Actividades del día con las horas asignadas (las que no caben siguen por planificar)
+ * @param {object} day
+ * @param {object} plan - De planAutoSchedule()
+ * @returns {Array<object>}
+ */
+export function applyAutoSchedule(day, plan) {
+  const horas = new Map(plan.asignadas.map(({ act, time }) => [act.id, time]));
+  return day.activities.map(act => horas.has(act.id) ? { ...act, time: horas.get(act.id) } : act);
+}
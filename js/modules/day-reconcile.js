@@ -0,0 +1,173 @@
+/**
+ * ==========================================================================
+ * wanderland - Day Reconcile
+ * ==========================================================================
+ *
+ * Ajuste de los `days` de un itinerario cuando cambian sus fechas.
+ *
+ * En dos pasos, como la importación: planDayReconciliation() calcula el
+ * resultado sin tocar nada (para poder preguntar qué hacer con los días
+ * que se quedan fuera) y applyDayReconciliation() devuelve los `days` y
+ * `expenses` nuevos.
+ *
+ * Cómo se asignan los días viejos a las fechas nuevas:
+ * - Si solo se mueve el inicio (el fin se queda igual), cada día conserva
+ *   su fecha: se recorta o se alarga el viaje por delante.
+ * - En otro caso los días conservan su posición (el "Día 1" sigue siendo
+ *   el primero) y se les pone la fecha nueva: mover el viaje entero
+ *   desplaza todos los días.
+ * Los que no caben en el rango nuevo quedan "fuera" y se pueden mover a
+ * otro día (con su hora), fusionar al final de otro día o eliminar.
+ */
+
+import { addDaysToDate, countTripDays } from './time-zone.js';
+import { recomputeTimes, activityInterval } from './day-schedule.js';
+
+export const ACCIONES_FUERA = ['mover', 'fusionar', 'eliminar'];
+
+/**
+ * Fechas ISO de un rango, ambos extremos incluidos
+ * @param {string} fechaInicio
+ * @param {string} fechaFin
+ * @returns {Array<string>}
+ */
+export function rangeDates(fechaInicio, fechaFin) {
+  return Array.from({ length: countTripDays(fechaInicio, fechaFin) }, (_, i) => addDaysToDate(fechaInicio, i));
+}
+
+// ==========================================================================
+// Plan
+// ==========================================================================
+
+/**
+ * Calcula cómo quedan los días con unas fechas nuevas
+ * @param {object} itinerario - Con sus fechas y `days` actuales
+ * @param {object} rango - {fechaInicio, fechaFin} nuevos
+ * @returns {object} - {
+ *   days: [{date, timeZone, activities, desde}]  días del rango nuevo; `desde`
+ *     es el índice del día viejo que ocupa esa fecha o null si es nuevo (con
+ *     la zona del itinerario)
+ *   fuera: [{index, date, activities}] días viejos con actividades que no caben
+ *   fechas: Map fecha vieja → fecha nueva de los días que se conservan
+ * }
+ */
+export function planDayReconciliation(itinerario, { fechaInicio, fechaFin }) {
+  const viejos = itinerario.days || [];
+  const fechas = rangeDates(fechaInicio, fechaFin);
+  const porFecha = itinerario.fechaFin === fechaFin && itinerario.fechaInicio !== fechaInicio;
+
+  // Índice del día viejo que va a cada posición nueva
+  const origen = fechas.map((fecha, i) => {
+    if (!porFecha) return i < viejos.length ? i : null;
+    const index = viejos.findIndex(day => day.date === fecha);
+    return index === -1 ? null : index;
+  });
+
+  const usados = new Set(origen.filter(index => index !== null));
+  const fechasNuevas = new Map();
+  origen.forEach((index, i) => {
+    if (index !== null) fechasNuevas.set(viejos[index].date, fechas[i]);
+  });
+
+  return {
+    days: fechas.map((date, i) => ({
+      ...(origen[i] === null ? { timeZone: itinerario.timeZone, activities: [] } : viejos[origen[i]]),
+      date,
+      desde: origen[i],
+    })),
+    fuera: viejos
+      .map((day, index) => ({ index, date: day.date, activities: day.activities }))
+      .filter(day => !usados.has(day.index) && day.activities.length > 0),
+    fechas: fechasNuevas,
+  };
+}
+
+// ==========================================================================
+// Aplicar
+// ==========================================================================
+
+/**
+ * Decisión por defecto para cada día que queda fuera: moverlo (con su
+ * hora) al día más cercano del rango nuevo
+ * @param {object} plan - De planDayReconciliation()
+ * @param {string} fechaInicio - Inicio del rango nuevo
+ * @returns {Array<object>} - {accion, destino}, una por cada `plan.fuera`
+ */
+export function defaultDecisions(plan, fechaInicio) {
+  const ultimo = plan.days.length - 1;
+  return plan.fuera.map(dia => ({ accion: 'mover', destino: dia.date < fechaInicio ? 0 : ultimo }));
+}
+
+/**
+ * Pone las actividades fusionadas a continuación de las que ya tiene el día
+ * @returns {object} - {activities, overflow}; las de `overflow` no caben
+ *   antes de medianoche y quedan por planificar
+ */
+function fusionar(day, nuevas) {
+  const fin = day.activities
+    .map(act => activityInterval(act, day))
+    .filter(Boolean)
+    .reduce((max, { end }) => Math.max(max, end), null);
+
+  // Un día vacío empieza donde empezaban las fusionadas
+  if (fin === null) return { activities: [...day.activities, ...nuevas], overflow: [] };
+
+  const { times, overflow } = recomputeTimes(nuevas, fin);
+  return {
+    activities: [...day.activities, ...nuevas.map((act, i) => ({ ...act, time: times[i] }))],
+    overflow,
+  };
+}
+
+/**
+ * Aplica un plan con lo que el usuario decidió para los días que quedan fuera
+ * @param {object} itinerario - Con sus `expenses` actuales
+ * @param {object} plan - De planDayReconciliation()
+ * @param {Array<object>} decisiones - Una por cada `plan.fuera`, en el mismo
+ *   orden: {accion: 'mover'|'fusionar'|'eliminar', destino: índice del día nuevo}
+ * @returns {object} - {days, expenses, sinHora}; `sinHora` cuenta las
+ *   fusionadas que no caben antes de medianoche y quedan por planificar
+ */
+export function applyDayReconciliation(itinerario, plan, decisiones = []) {
+  const days = plan.days.map(({ desde, ...day }) => ({ ...day, activities: [...day.activities] }));
+  const eliminados = new Set();
+  const fechaGasto = new Map(); // expenseId → fecha nueva
+  let sinHora = 0;
+
+  plan.fuera.forEach((dia, i) => {
+    const { accion = 'eliminar', destino = 0 } = decisiones[i] || {};
+    const target = days[Math.min(Math.max(destino, 0), days.length - 1)];
+
+    if (accion === 'eliminar') {
+      dia.activities.forEach(act => act.expenseId && eliminados.add(act.expenseId));
+      return;
+    }
+
+    if (accion === 'fusionar') {
+      const { activities, overflow } = fusionar(target, dia.activities);
+      target.activities = activities;
+      sinHora += overflow.length;
+    } else {
+      target.activities = [...target.activities, ...dia.activities];
+    }
+    dia.activities.forEach(act => act.expenseId && fechaGasto.set(act.expenseId, target.date));
+  });
+
+  // Los gastos de las actividades que se quedan siguen a su día
+  days.forEach(day => {
+    day.activities.forEach(act => {
+      if (act.expenseId && !fechaGasto.has(act.expenseId)) fechaGasto.set(act.expenseId, day.date);
+    });
+  });
+
+  const expenses = (itinerario.expenses || [])
+    .filter(exp => !eliminados.has(exp.id))
+    .map(exp => {
+      if (fechaGasto.has(exp.id)) return { ...exp, date: fechaGasto.get(exp.id) };
+      // Gastos sueltos: se mueven con su día si este se conserva
+      if (plan.fechas.has(exp.date)) return { ...exp, date: plan.fechas.get(exp.date) };
+      return exp;
+    });
+
+  return { days, expenses, sinHora };
+}
@@ -0,0 +1,293 @@
+/**
+ * ==========================================================================
+ * wanderland - Day Schedule
+ * ==========================================================================
+ *
+ * Modelo de intervalos de un día del itinerario: cada actividad ocupa
+ * [inicio, fin) en minutos desde las 00:00 de su día, según su `time` y su
+ * `duration` (ver duration.js). Las que tienen `time` vacío están "por
+ * planificar" (ver auto-scheduler.js) y no ocupan nada todavía.
+ *
+ * Si el día lleva `timeZone`, el fin se calcula sumando la duración al
+ * instante real de inicio: una actividad que cruza un cambio de hora
+ * termina a la hora de pared correcta, y lo que pasa de medianoche se
+ * expresa en la zona del día siguiente aunque sea otra.
+ *
+ * - Las que pasan de medianoche siguen ocupando el principio del día
+ *   siguiente (un "arrastre" que entra en los cálculos de ese día).
+ * - Las de día completo y las de duración desconocida no cuentan para
+ *   solapes ni huecos: no se sabe cuándo terminan.
+ */
+
+import { isFullDayDuration, parseDuration } from './duration.js';
+import { zonedTimeToInstant, instantToZonedTime, daysBetween } from './time-zone.js';
+
+export const MINUTOS_DIA = 24 * 60;
+
+// Huecos más cortos no se muestran
+const HUECO_MINIMO = 15;
+
+// ==========================================================================
+// Horas
+// ==========================================================================
+
+/**
+ * "09:30" → 570
+ * @param {string} time
+ * @returns {number|null}
+ */
+export function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  const minutos = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutos < MINUTOS_DIA ? minutos : null;
+}
+
+/**
+ * 570 → "09:30" (los minutos de más allá de medianoche dan la vuelta)
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatTime(minutes) {
+  const total = ((Math.round(minutes) % MINUTOS_DIA) + MINUTOS_DIA) % MINUTOS_DIA;
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * ¿Está la actividad "por planificar" (sin hora todavía)?
+ * @param {object} act
+ * @returns {boolean}
+ */
+export function isUnscheduled(act) {
+  return parseTime(act.time) === null;
+}
+
+/**
+ * Orden de la línea de tiempo: por hora y las que están por planificar al final
+ */
+export function compareByTime(a, b) {
+  return (isUnscheduled(a) - isUnscheduled(b)) || (a.time || '').localeCompare(b.time || '');
+}
+
+// ==========================================================================
+// Intervalos
+// ==========================================================================
+
+/**
+ * Minutos de un instante contados desde la medianoche (hora de pared) de un día
+ */
+function minutesInDay(instant, day) {
+  const { date, time } = instantToZonedTime(instant, day.timeZone);
+  return daysBetween(day.date, date) * MINUTOS_DIA + parseTime(time);
+}
+
+/**
+ * Intervalo de una actividad en minutos desde la medianoche de su día
+ * @param {object} act - {time, duration}
+ * @param {object|null} day - {date, timeZone}; sin él la duración se suma
+ *   a la hora de pared
+ * @returns {object|null} - {start, end}; `end` puede pasar de 1440. null si
+ *   es de día completo o no tiene hora o duración reconocibles
+ */
+export function activityInterval(act, day = null) {
+  if (isFullDayDuration(act.duration)) return null;
+  const start = parseTime(act.time);
+  const duration = parseDuration(act.duration);
+  if (start === null || duration === null) return null;
+  if (!day?.timeZone) return { start, end: start + duration };
+
+  const fin = zonedTimeToInstant(day.date, act.time, day.timeZone) + duration * 60000;
+  // Al retrasar la hora el fin de pared puede quedar antes del inicio
+  return { start, end: Math.max(start, minutesInDay(fin, day)) };
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Hasta qué minuto del día siguiente llega una actividad que pasa de medianoche
+ * @returns {number|null} - null si no pasa de medianoche
+ */
+function endInNextDay(act, day, nextDay) {
+  const interval = activityInterval(act, day);
+  if (!interval || interval.end <= MINUTOS_DIA) return null;
+  if (!day.timeZone || !nextDay?.timeZone) return interval.end - MINUTOS_DIA;
+
+  const fin = zonedTimeToInstant(day.date, act.time, day.timeZone) + parseDuration(act.duration) * 60000;
+  return minutesInDay(fin, nextDay);
+}
+
+/**
+ * Lo que las actividades de un día arrastran al siguiente
+ * @param {object|null} day
+ * @param {object|null} nextDay - Para expresarlo en su zona horaria
+ * @returns {Array<object>} - {act, start: 0, end} en minutos del día siguiente
+ */
+export function getCarryOver(day, nextDay = null) {
+  if (!day) return [];
+  return day.activities
+    .map(act => ({ act, end: endInNextDay(act, day, nextDay) }))
+    .filter(({ end }) => end !== null && end > 0)
+    .map(({ act, end }) => ({ act, start: 0, end }));
+}
+
+/**
+ * Horario de un día: actividades ordenadas con sus conflictos y huecos libres
+ * @param {object} day - {date, activities}
+ * @param {object|null} previousDay - Para lo que viene arrastrado de la noche anterior
+ * @param {object|null} nextDay - Para las que pasan de medianoche
+ * @returns {object} - {items, gaps, carryIn}
+ *   items: [{act, start, end, endsNextDay, conflicts: act[]}] en orden de hora
+ *   gaps: [{start, end, beforeId}] huecos libres de al menos HUECO_MINIMO,
+ *     con el id de la actividad que los cierra
+ *   carryIn: [{act, start, end}] actividades del día anterior que siguen hoy
+ */
+export function buildDaySchedule(day, previousDay = null, nextDay = null) {
+  const carryIn = getCarryOver(previousDay, day);
+
+  const items = [...day.activities]
+    .sort(compareByTime)
+    .map(act => {
+      const interval = activityInterval(act, day);
+      return {
+        act,
+        start: interval?.start ?? null,
+        end: interval?.end ?? null,
+        endsNextDay: Boolean(interval && interval.end > MINUTOS_DIA),
+        conflicts: [],
+      };
+    });
+
+  const conIntervalo = items.filter(item => item.start !== null);
+
+  conIntervalo.forEach((item, i) => {
+    conIntervalo.slice(i + 1).forEach(otro => {
+      if (overlaps(item, otro)) {
+        item.conflicts.push(otro.act);
+        otro.conflicts.push(item.act);
+      }
+    });
+    carryIn.forEach(arrastre => {
+      if (overlaps(item, arrastre)) item.conflicts.push(arrastre.act);
+    });
+  });
+
+  // Lo que pasa de medianoche choca con lo primero del día siguiente
+  conIntervalo.filter(item => item.endsNextDay && nextDay).forEach(item => {
+    const resto = { start: 0, end: endInNextDay(item.act, day, nextDay) };
+    nextDay.activities.forEach(act => {
+      const otro = activityInterval(act, nextDay);
+      if (otro && overlaps(resto, otro)) item.conflicts.push(act);
+    });
+  });
+
+  return { items, gaps: findGaps(conIntervalo, carryIn), carryIn };
+}
+
+/**
+ * Horas de una lista de actividades ya reordenada: la primera empieza a la
+ * hora más temprana del grupo y cada una a continuación de la anterior.
+ * Las de día completo y las que están por planificar conservan su hora (o
+ * su falta de hora) y no empujan a las demás; las de hora fija (`fixedTime`)
+ * conservan la suya y las siguientes van después de que terminen. Las de
+ * duración desconocida no ocupan tiempo.
+ * Las que empezarían pasada la medianoche se quedan por planificar (hora
+ * vacía) y se devuelven en `overflow` para poder avisar.
+ * @param {Array<object>} acts - {time, duration, fixedTime} en el orden deseado
+ * @param {number|null} start - Minuto en que empieza la primera; por defecto
+ *   la hora más temprana de las que no son de hora fija
+ * @param {Function|null} traslado - (from, to) => minutos entre dos
+ *   actividades seguidas; sin él van una detrás de otra
+ * @returns {object} - {times, overflow}
+ *   times: hora "HH:MM" (o vacía) de cada actividad, en el mismo orden
+ *   overflow: actividades que no caben antes de medianoche
+ */
+export function recomputeTimes(acts, start = null, traslado = null) {
+  const horas = acts
+    .filter(act => !isFullDayDuration(act.duration) && !act.fixedTime)
+    .map(act => parseTime(act.time))
+    .filter(h => h !== null);
+  let cursor = start ?? (horas.length ? Math.min(...horas) : 0);
+  let anterior = null;
+  const overflow = [];
+
+  const times = acts.map(act => {
+    if (isFullDayDuration(act.duration) || isUnscheduled(act)) return act.time;
+    if (anterior && traslado) cursor += traslado(anterior, act);
+
+    const duracion = parseDuration(act.duration) ?? 0;
+    if (act.fixedTime) {
+      anterior = act;
+      cursor = Math.max(cursor, parseTime(act.time) + duracion);
+      return act.time;
+    }
+    if (cursor >= MINUTOS_DIA) {
+      overflow.push(act);
+      return '';
+    }
+    anterior = act;
+    const time = formatTime(cursor);
+    cursor += duracion;
+    return time;
+  });
+
+  return { times, overflow };
+}
+
+/**
+ * Huecos entre actividades consecutivas. Las que se solapan se funden en
+ * un bloque ocupado; no se cuentan los huecos antes de la primera ni
+ * después de la última.
+ */
+function findGaps(items, carryIn) {
+  const bloques = [...carryIn, ...items].sort((a, b) => a.start - b.start);
+  const gaps = [];
+  let finOcupado = null;
+
+  bloques.forEach(bloque => {
+    if (finOcupado !== null && bloque.start - finOcupado >= HUECO_MINIMO) {
+      gaps.push({ start: finOcupado, end: bloque.start, beforeId: bloque.act.id });
+    }
+    finOcupado = finOcupado === null ? bloque.end : Math.max(finOcupado, bloque.end);
+  });
+
+  return gaps;
+}
+
+/**
+ * Actividades con las que chocaría una actividad nueva o editada, incluidas
+ * las del día anterior que pasan de medianoche y, si esta pasa de
+ * medianoche, las primeras del día siguiente
+ * @param {object} candidate - {id?, time, duration}
+ * @param {object} context - {day, previousDay, nextDay}
+ * @returns {Array<object>} - {act, nextDay: boolean}
+ */
+export function findConflicts(candidate, { day, previousDay = null, nextDay = null }) {
+  const interval = activityInterval(candidate, day);
+  if (!interval) return [];
+
+  const conflicts = [];
+
+  day.activities
+    .filter(act => act.id !== candidate.id)
+    .forEach(act => {
+      const otro = activityInterval(act, day);
+      if (otro && overlaps(interval, otro)) conflicts.push({ act, nextDay: false });
+    });
+
+  getCarryOver(previousDay, day).forEach(arrastre => {
+    if (overlaps(interval, arrastre)) conflicts.push({ act: arrastre.act, nextDay: false });
+  });
+
+  if (interval.end > MINUTOS_DIA && nextDay) {
+    const resto = { start: 0, end: endInNextDay(candidate, day, nextDay) };
+    nextDay.activities.forEach(act => {
+      const otro = activityInterval(act, nextDay);
+      if (otro && overlaps(resto, otro)) conflicts.push({ act, nextDay: true });
+    });
+  }
+
+  return conflicts;
+}
@@ -0,0 +1,192 @@
+/**
+ * ==========================================================================
+ * wanderland - Destinations
+ * ==========================================================================
+ *
+ * Catálogo local de destinos y su búsqueda. Mientras no haya backend
+ * (CONFIG.API.ENDPOINTS.DESTINATIONS) es la única fuente: la portada saca
+ * de aquí los populares y destinos.html los resultados.
+ *
+ * La búsqueda ignora mayúsculas y acentos ("paris" encuentra "París") y
+ * ordena por relevancia: nombre exacto > empieza por > palabra que empieza
+ * por > contiene; después país, región y etiquetas.
+ */
+
+import { normalizeText } from '../utils.js';
+
+// ==========================================================================
+// Data
+// ==========================================================================
+
+const DESTINATIONS = [
+  { slug: 'paris', name: 'París', country: 'Francia', region: 'Europa', image: 'paris.jpg', popular: true,
+    description: 'Museos, bistrós y paseos junto al Sena.', tags: ['cultura', 'gastronomía', 'romántico'] },
+  { slug: 'tokyo', name: 'Tokyo', country: 'Japón', region: 'Asia', image: 'tokyo.jpg', popular: true,
+    description: 'Templos, barrios de neón y la mejor comida callejera.', tags: ['ciudad', 'gastronomía', 'tecnología'], aliases: ['Tokio'] },
+  { slug: 'nueva-york', name: 'Nueva York', country: 'Estados Unidos', region: 'América del Norte', image: 'nyc.jpg', popular: true,
+    description: 'Rascacielos, Broadway y Central Park.', tags: ['ciudad', 'compras', 'museos'], aliases: ['New York', 'NYC'] },
+  { slug: 'barcelona', name: 'Barcelona', country: 'España', region: 'Europa', image: 'barcelona.jpg', popular: true,
+    description: 'Gaudí, playa y tapas en el Born.', tags: ['playa', 'arquitectura', 'gastronomía'] },
+  { slug: 'bali', name: 'Bali', country: 'Indonesia', region: 'Asia', image: 'bali.jpg', popular: true,
+    description: 'Arrozales, templos y surf.', tags: ['playa', 'naturaleza', 'relax'] },
+  { slug: 'roma', name: 'Roma', country: 'Italia', region: 'Europa', image: 'roma.jpg', popular: true,
+    description: 'Dos mil años de historia a cada paso.', tags: ['historia', 'cultura', 'gastronomía'], aliases: ['Rome'] },
+  { slug: 'londres', name: 'Londres', country: 'Reino Unido', region: 'Europa', image: 'london.jpg', popular: true,
+    description: 'Museos gratuitos, mercados y teatro.', tags: ['ciudad', 'museos', 'compras'], aliases: ['London'] },
+  { slug: 'dubai', name: 'Dubai', country: 'Emiratos Árabes', region: 'Oriente Medio', image: 'dubai.jpg', popular: true,
+    description: 'Desierto, rascacielos y centros comerciales.', tags: ['lujo', 'compras', 'desierto'], aliases: ['Dubái'] },
+
+  { slug: 'madrid', name: 'Madrid', country: 'España', region: 'Europa',
+    description: 'El Prado, el Retiro y vida de barrio.', tags: ['museos', 'gastronomía', 'ciudad'] },
+  { slug: 'sevilla', name: 'Sevilla', country: 'España', region: 'Europa',
+    description: 'Alcázar, flamenco y patios con azahar.', tags: ['historia', 'cultura'] },
+  { slug: 'lisboa', name: 'Lisboa', country: 'Portugal', region: 'Europa',
+    description: 'Tranvías, miradores y pastéis de nata.', tags: ['ciudad', 'gastronomía'], aliases: ['Lisbon'] },
+  { slug: 'amsterdam', name: 'Ámsterdam', country: 'Países Bajos', region: 'Europa',
+    description: 'Canales, bicicletas y museos.', tags: ['ciudad', 'museos'] },
+  { slug: 'berlin', name: 'Berlín', country: 'Alemania', region: 'Europa',
+    description: 'Historia reciente, arte urbano y vida nocturna.', tags: ['historia', 'ocio nocturno'] },
+  { slug: 'praga', name: 'Praga', country: 'República Checa', region: 'Europa',
+    description: 'Puentes, castillo y casco antiguo medieval.', tags: ['historia', 'arquitectura'], aliases: ['Prague'] },
+  { slug: 'atenas', name: 'Atenas', country: 'Grecia', region: 'Europa',
+    description: 'La Acrópolis y la puerta a las islas.', tags: ['historia', 'playa'] },
+  { slug: 'estambul', name: 'Estambul', country: 'Turquía', region: 'Europa',
+    description: 'Entre dos continentes: bazares y mezquitas.', tags: ['historia', 'compras', 'gastronomía'], aliases: ['Istanbul'] },
+  { slug: 'marrakech', name: 'Marrakech', country: 'Marruecos', region: 'África',
+    description: 'Zocos, riads y excursiones al desierto.', tags: ['cultura', 'desierto', 'compras'] },
+  { slug: 'ciudad-del-cabo', name: 'Ciudad del Cabo', country: 'Sudáfrica', region: 'África',
+    description: 'Montaña de la Mesa, viñedos y pingüinos.', tags: ['naturaleza', 'playa'], aliases: ['Cape Town'] },
+  { slug: 'kioto', name: 'Kioto', country: 'Japón', region: 'Asia',
+    description: 'Templos, jardines zen y geishas en Gion.', tags: ['cultura', 'historia'], aliases: ['Kyoto'] },
+  { slug: 'bangkok', name: 'Bangkok', country: 'Tailandia', region: 'Asia',
+    description: 'Templos dorados, mercados flotantes y street food.', tags: ['ciudad', 'gastronomía'] },
+  { slug: 'singapur', name: 'Singapur', country: 'Singapur', region: 'Asia',
+    description: 'Jardines futuristas y hawker centres.', tags: ['ciudad', 'gastronomía'], aliases: ['Singapore'] },
+  { slug: 'sydney', name: 'Sídney', country: 'Australia', region: 'Oceanía',
+    description: 'Ópera, bahía y playas de surf.', tags: ['playa', 'ciudad'], aliases: ['Sydney'] },
+  { slug: 'ciudad-de-mexico', name: 'Ciudad de México', country: 'México', region: 'América del Norte',
+    description: 'Museos, murales y la mejor comida de calle.', tags: ['cultura', 'gastronomía', 'historia'], aliases: ['CDMX'] },
+  { slug: 'cancun', name: 'Cancún', country: 'México', region: 'América del Norte',
+    description: 'Caribe, cenotes y ruinas mayas.', tags: ['playa', 'relax', 'historia'] },
+  { slug: 'buenos-aires', name: 'Buenos Aires', country: 'Argentina', region: 'América del Sur',
+    description: 'Tango, cafés y parrillas.', tags: ['ciudad', 'cultura', 'gastronomía'] },
+  { slug: 'cusco', name: 'Cusco', country: 'Perú', region: 'América del Sur',
+    description: 'Capital inca y puerta a Machu Picchu.', tags: ['historia', 'montaña'], aliases: ['Cuzco', 'Machu Picchu'] },
+  { slug: 'rio-de-janeiro', name: 'Río de Janeiro', country: 'Brasil', region: 'América del Sur',
+    description: 'Copacabana, Cristo Redentor y samba.', tags: ['playa', 'naturaleza'] },
+  { slug: 'reikiavik', name: 'Reikiavik', country: 'Islandia', region: 'Europa',
+    description: 'Auroras boreales, géiseres y glaciares.', tags: ['naturaleza', 'aventura'], aliases: ['Reykjavik'] },
+];
+
+// ==========================================================================
+// Queries
+// ==========================================================================
+
+/**
+ * Todos los destinos del catálogo
+ * @returns {Array<object>}
+ */
+export function getDestinations() {
+  return DESTINATIONS;
+}
+
+/**
+ * Destinos destacados para la portada
+ * @returns {Array<object>}
+ */
+export function getPopularDestinations() {
+  return DESTINATIONS.filter(d => d.popular);
+}
+
+/**
+ * Destino del catálogo cuyo nombre (o alias) es exactamente `name`,
+ * sin distinguir acentos ni mayúsculas
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function findDestinationByName(name) {
+  const target = normalizeText(name);
+  if (!target) return null;
+  return DESTINATIONS.find(d =>
+    [d.name, ...(d.aliases || [])].some(n => normalizeText(n) === target)
+  ) || null;
+}
+
+/**
+ * Texto para el campo "Destino" de un itinerario
+ * @param {object} destination
+ * @returns {string} - Ej: "París, Francia"
+ */
+export function formatDestination(destination) {
+  return destination.name === destination.country
+    ? destination.name
+    : `${destination.name}, ${destination.country}`;
+}
+
+/**
+ * Busca destinos y los ordena por relevancia
+ * @param {string} query
+ * @returns {Array<object>} - Destinos que coinciden con todas las palabras
+ */
+export function searchDestinations(query) {
+  const tokens = normalizeText(query).split(' ').filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const full = tokens.join(' ');
+
+  return DESTINATIONS
+    .map(destination => ({ destination, score: scoreDestination(destination, full, tokens) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      Number(Boolean(b.destination.popular)) - Number(Boolean(a.destination.popular)) ||
+      a.destination.name.localeCompare(b.destination.name, 'es')
+    )
+    .map(result => result.destination);
+}
+
+// ==========================================================================
+// Ranking
+// ==========================================================================
+
+const FIELD_WEIGHTS = {
+  name: 1,
+  country: 0.5,
+  region: 0.3,
+  tags: 0.3,
+};
+
+function scoreDestination(destination, full, tokens) {
+  const names = [destination.name, ...(destination.aliases || [])].map(normalizeText);
+
+  // La frase completa contra el nombre pesa más que palabra a palabra
+  const phrase = Math.max(...names.map(name => scoreText(name, full)));
+  if (phrase >= 80) return phrase + (destination.popular ? 5 : 0);
+
+  let total = 0;
+  for (const token of tokens) {
+    const best = Math.max(
+      ...names.map(name => scoreText(name, token) * FIELD_WEIGHTS.name),
+      scoreText(normalizeText(destination.country), token) * FIELD_WEIGHTS.country,
+      scoreText(normalizeText(destination.region), token) * FIELD_WEIGHTS.region,
+      ...(destination.tags || []).map(tag => scoreText(normalizeText(tag), token) * FIELD_WEIGHTS.tags)
+    );
+    // Todas las palabras tienen que aparecer en algún campo
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / tokens.length + (destination.popular ? 5 : 0);
+}
+
+/**
+ * Puntuación de un texto ya normalizado contra un término
+ */
+function scoreText(text, term) {
+  if (!text || !term) return 0;
+  if (text === term) return 100;
+  if (text.startsWith(term)) return 80;
+  if (text.split(/[\s-]+/).some(word => word.startsWith(term))) return 60;
+  // Con términos muy cortos "contiene" encuentra casi todo
+  if (term.length >= 3 && text.includes(term)) return 40;
+  return 0;
+}
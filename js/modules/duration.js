@@ -0,0 +1,61 @@
+/**
+ * ==========================================================================
+ * wanderland - Duration
+ * ==========================================================================
+ *
+ * Las actividades guardan su duración como texto ("1h30m", "2h", "30m" o
+ * "Día completo", según el selector del formulario). Aquí se convierten a
+ * minutos para poder calcular horarios.
+ */
+
+const FULL_DAY_VALUES = ['día completo', 'dia completo'];
+
+// "1h30m", "1h 30min", "2 h", "45m", "90 min"
+const HM_REGEX = /^(?:(\d+(?:[.,]\d+)?)\s*h(?:oras?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utos?)?)?)?$/i;
+// "1:30"
+const CLOCK_REGEX = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Indica si la duración ocupa el día entero
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isFullDayDuration(value) {
+  return typeof value === 'string' && FULL_DAY_VALUES.includes(value.trim().toLowerCase());
+}
+
+/**
+ * Convierte una duración de texto a minutos
+ * @param {string} value - Ej: "1h30m"
+ * @returns {number|null} - Minutos, o null si no se reconoce (o es día completo)
+ */
+export function parseDuration(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text || isFullDayDuration(text)) return null;
+
+  const clock = text.match(CLOCK_REGEX);
+  if (clock) return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+
+  const match = text.match(HM_REGEX);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+  const horas = match[1] ? parseFloat(match[1].replace(',', '.')) : 0;
+  const minutos = match[2] ? parseInt(match[2], 10) : 0;
+  const total = Math.round(horas * 60 + minutos);
+  return total > 0 ? total : null;
+}
+
+/**
+ * Formatea minutos con el mismo formato que el selector ("1h30m")
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  const total = Math.max(0, Math.round(minutes));
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  if (h && m) return `${h}h${m}m`;
+  if (h) return `${h}h`;
+  return `${m}m`;
+}
@@ -0,0 +1,287 @@
+/**
+ * ==========================================================================
+ * wanderland - Geo
+ * ==========================================================================
+ *
+ * Coordenadas de las actividades y proyección Web Mercator para pintarlas
+ * en el mapa del detalle sin servicio de teselas (funciona offline).
+ *
+ * - Las actividades guardan `lat` y `lng` opcionales en grados decimales.
+ * - Se pueden escribir a mano ("35.0116, 135.7681") o pegar un enlace de
+ *   Google Maps, OpenStreetMap, Apple Maps o una URI `geo:`.
+ * - La vista del mapa es {cx, cy, zoom}: el centro en coordenadas de mundo
+ *   (0-1, como una tesela de zoom 0) y un zoom continuo al estilo de los
+ *   mapas web (a zoom z el mundo mide 256·2^z píxeles).
+ */
+
+const TILE_SIZE = 256;
+const MAX_LAT = 85.05112878;
+const RADIO_TIERRA_M = 6371008.8;
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 18;
+// Zoom al encuadrar un solo punto (unas pocas calles)
+const ZOOM_UN_PUNTO = 15;
+
+// ==========================================================================
+// Coordenadas
+// ==========================================================================
+
+/**
+ * @param {*} lat
+ * @param {*} lng
+ * @returns {boolean}
+ */
+export function isValidCoords(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * ¿Tiene la actividad coordenadas utilizables?
+ * @param {object} act
+ * @returns {boolean}
+ */
+export function hasCoords(act) {
+  return isValidCoords(act?.lat, act?.lng);
+}
+
+const NUM = '(-?\\d{1,3}(?:\\.\\d+)?)';
+
+// En orden: lo más específico primero. Cada patrón captura lat y lng
+const PATRONES_ENLACE = [
+  // Google Maps: el marcador del sitio (!3d lat !4d lng) manda sobre el centro de la vista
+  new RegExp(`!3d${NUM}!4d${NUM}`),
+  // Google / Apple: ?q=, ?query=, ?ll=, ?sll=, ?daddr=, ?destination=
+  new RegExp(`[?&](?:q|query|ll|sll|daddr|destination)=(?:loc:)?${NUM}(?:,|%2C)\\s*${NUM}`, 'i'),
+  // Google Maps: /@lat,lng,zoom
+  new RegExp(`@${NUM},${NUM}`),
+  // OpenStreetMap: #map=zoom/lat/lng
+  new RegExp(`#map=\\d+(?:\\.\\d+)?/${NUM}/${NUM}`),
+  // geo:lat,lng
+  new RegExp(`^geo:${NUM},${NUM}`, 'i'),
+];
+
+// "35.0116, 135.7681", "35.0116 135.7681", "35.0116;135.7681"
+const PAR_REGEX = new RegExp(`^${NUM}\\s*[,;\\s]\\s*${NUM}$`);
+
+/**
+ * Lee unas coordenadas escritas a mano o de un enlace de mapas
+ * @param {string} text
+ * @returns {object|null} - {lat, lng} o null si no se reconocen
+ */
+export function parseCoordinates(text) {
+  const valor = typeof text === 'string' ? text.trim() : '';
+  if (!valor) return null;
+
+  // OpenStreetMap con marcador: ?mlat=..&mlon=..
+  const mlat = /[?&]mlat=(-?[\d.]+)/i.exec(valor);
+  const mlon = /[?&]mlon=(-?[\d.]+)/i.exec(valor);
+  const candidatos = mlat && mlon ? [[mlat[1], mlon[1]]] : [];
+
+  const par = PAR_REGEX.exec(valor);
+  if (par) candidatos.push([par[1], par[2]]);
+
+  PATRONES_ENLACE.forEach(patron => {
+    const match = patron.exec(valor);
+    if (match) candidatos.push([match[1], match[2]]);
+  });
+
+  for (const [lat, lng] of candidatos) {
+    const coords = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    if (isValidCoords(coords.lat, coords.lng)) return coords;
+  }
+  return null;
+}
+
+/**
+ * "35.01160, 135.76810"
+ * @param {object} coords - {lat, lng}
+ * @returns {string}
+ */
+export function formatCoordinates({ lat, lng }) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
+
+/**
+ * Distancia en línea recta sobre la esfera (haversine)
+ * @param {object} a - {lat, lng}
+ * @param {object} b - {lat, lng}
+ * @returns {number} - Metros
+ */
+export function distanceMeters(a, b) {
+  const rad = grados => grados * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * RADIO_TIERRA_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// ==========================================================================
+// Proyección
+// ==========================================================================
+
+/**
+ * Web Mercator: grados → coordenadas de mundo en [0, 1]
+ * @param {object} coords - {lat, lng}
+ * @returns {object} - {x, y}; y crece hacia el sur
+ */
+export function project({ lat, lng }) {
+  const phi = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI / 180;
+  return {
+    x: (lng + 180) / 360,
+    y: (1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2,
+  };
+}
+
+/**
+ * Inversa de project()
+ * @param {object} punto - {x, y}
+ * @returns {object} - {lat, lng}
+ */
+export function unproject({ x, y }) {
+  const n = Math.PI * (1 - 2 * y);
+  return {
+    lat: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+    lng: x * 360 - 180,
+  };
+}
+
+function clampZoom(zoom) {
+  return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+}
+
+function escala(zoom) {
+  return TILE_SIZE * 2 ** zoom;
+}
+
+/**
+ * Vista que encuadra unos puntos en un rectángulo de píxeles
+ * @param {Array<object>} puntos - {lat, lng}
+ * @param {number} width
+ * @param {number} height
+ * @param {number} padding - Margen en píxeles por cada lado
+ * @returns {object|null} - {cx, cy, zoom}; null si no hay puntos
+ */
+export function fitView(puntos, width, height, padding = 40) {
+  if (!puntos.length) return null;
+  const xy = puntos.map(project);
+  const xs = xy.map(p => p.x);
+  const ys = xy.map(p => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+
+  const anchoUtil = Math.max(1, width - 2 * padding);
+  const altoUtil = Math.max(1, height - 2 * padding);
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+
+  const zoom = spanX === 0 && spanY === 0 ?
+    ZOOM_UN_PUNTO :
+    Math.log2(Math.min(
+      spanX ? anchoUtil / (spanX * TILE_SIZE) : Infinity,
+      spanY ? altoUtil / (spanY * TILE_SIZE) : Infinity
+    ));
+
+  return { cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, zoom: clampZoom(Math.min(zoom, MAX_ZOOM)) };
+}
+
+/**
+ * Posición en pantalla de unas coordenadas
+ * @param {object} coords - {lat, lng}
+ * @param {object} view - {cx, cy, zoom}
+ * @param {number} width
+ * @param {number} height
+ * @returns {object} - {x, y} en píxeles
+ */
+export function toScreen(coords, view, width, height) {
+  const p = project(coords);
+  const s = escala(view.zoom);
+  return {
+    x: (p.x - view.cx) * s + width / 2,
+    y: (p.y - view.cy) * s + height / 2,
+  };
+}
+
+/**
+ * Acerca o aleja manteniendo fijo el punto de pantalla (sx, sy)
+ * @param {object} view
+ * @param {number} delta - Niveles de zoom (+1 acerca al doble)
+ * @param {number} sx
+ * @param {number} sy
+ * @param {number} width
+ * @param {number} height
+ * @returns {object} - Vista nueva
+ */
+export function zoomView(view, delta, sx, sy, width, height) {
+  const zoom = clampZoom(view.zoom + delta);
+  const antes = escala(view.zoom);
+  const despues = escala(zoom);
+  // Punto de mundo bajo el cursor, que debe quedarse donde está
+  const wx = view.cx + (sx - width / 2) / antes;
+  const wy = view.cy + (sy - height / 2) / antes;
+  return {
+    cx: wx - (sx - width / 2) / despues,
+    cy: wy - (sy - height / 2) / despues,
+    zoom,
+  };
+}
+
+/**
+ * Desplaza la vista unos píxeles (arrastrar el mapa)
+ * @param {object} view
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {object} - Vista nueva
+ */
+export function panView(view, dx, dy) {
+  const s = escala(view.zoom);
+  return {
+    ...view,
+    cx: view.cx - dx / s,
+    cy: Math.max(0, Math.min(1, view.cy - dy / s)),
+  };
+}
+
+/**
+ * Metros por píxel en el centro de la vista (para la escala gráfica)
+ * @param {object} view
+ * @returns {number}
+ */
+export function metersPerPixel(view) {
+  const { lat } = unproject({ x: view.cx, y: view.cy });
+  return 2 * Math.PI * RADIO_TIERRA_M * Math.cos(lat * Math.PI / 180) / escala(view.zoom);
+}
+
+/**
+ * Líneas de latitud y longitud visibles, con un paso "redondo" que deja
+ * unas pocas en pantalla
+ * @param {object} view
+ * @param {number} width
+ * @param {number} height
+ * @returns {object} - {paso, lats: number[], lngs: number[]}
+ */
+export function graticule(view, width, height) {
+  const s = escala(view.zoom);
+  const noroeste = unproject({ x: view.cx - width / 2 / s, y: Math.max(0, view.cy - height / 2 / s) });
+  const sureste = unproject({ x: view.cx + width / 2 / s, y: Math.min(1, view.cy + height / 2 / s) });
+
+  const PASOS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30];
+  const objetivo = (sureste.lng - noroeste.lng) / 6;
+  const paso = PASOS.find(p => p >= objetivo) || 30;
+
+  const rango = (desde, hasta) => {
+    const valores = [];
+    for (let v = Math.ceil(desde / paso) * paso; v <= hasta; v += paso) valores.push(+v.toFixed(6));
+    return valores;
+  };
+
+  return {
+    paso,
+    lats: rango(sureste.lat, noroeste.lat),
+    lngs: rango(noroeste.lng, sureste.lng),
+  };
+}
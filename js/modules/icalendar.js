@@ -0,0 +1,575 @@
+/**
+ * ==========================================================================
+ * wanderland - iCalendar
+ * ==========================================================================
+ *
+ * Conversión entre itinerarios y archivos .ics (RFC 5545): exportar un
+ * viaje para verlo en cualquier app de calendario e importar eventos (por
+ * ejemplo, confirmaciones de reserva) como actividades.
+ *
+ * - Un evento de día completo para todo el viaje y un VEVENT por actividad.
+ *   Las que están por planificar no se exportan: no tienen hora que poner.
+ * - Los UID derivan de los IDs del itinerario y de cada actividad, así que
+ *   volver a importar el archivo actualiza los eventos en lugar de
+ *   duplicarlos. SEQUENCE sigue la revisión guardada (`rev`).
+ * - Las horas se exportan en UTC, calculadas desde la zona de cada día:
+ *   el calendario las muestra en la hora local de quien lo abre.
+ * - Al importar, los eventos con TZID conservan su hora local y los UTC se
+ *   pasan a la zona del navegador, salvo que se indique otra zona destino
+ *   (la del viaje o, si el día en que caen tiene la suya, la de ese día).
+ */
+
+import { CONFIG } from '../config.js';
+import { downloadFile, slugify } from '../utils.js';
+import { parseDuration, isFullDayDuration, formatDuration } from './duration.js';
+import { hasCoords } from './geo.js';
+import { isUnscheduled } from './day-schedule.js';
+import {
+  isValidTimeZone,
+  getBrowserTimeZone,
+  zonedTimeToInstant,
+  instantToZonedTime,
+  addDaysToDate,
+} from './time-zone.js';
+
+const { PRODID, UID_DOMAIN } = CONFIG.CALENDAR;
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const DEFAULT_IMPORT_DURATION = '1h';
+
+// Palabras clave para adivinar el tipo de actividad a partir del título.
+// Las claves son las de TYPE_CONFIG en la página de detalle.
+const TYPE_KEYWORDS = {
+  transport: ['vuelo', 'flight', 'tren', 'train', 'bus', 'autobús', 'ferry', 'traslado', 'transfer',
+    'taxi', 'metro', 'shinkansen', 'aeropuerto', 'airport', 'embarque', 'boarding', 'alquiler de coche',
+    'car rental', 'renfe', 'ryanair', 'iberia', 'vueling'],
+  hotel: ['hotel', 'hostal', 'hostel', 'alojamiento', 'airbnb', 'apartamento', 'check-in', 'check in',
+    'checkout', 'check-out', 'ryokan', 'booking.com', 'reserva de habitación', 'resort'],
+  food: ['restaurante', 'restaurant', 'cena', 'dinner', 'comida', 'lunch', 'almuerzo', 'desayuno',
+    'breakfast', 'brunch', 'tapas', 'café', 'cafe', 'bar ', 'degustación', 'tasting', 'mercado'],
+  sightseeing: ['museo', 'museum', 'templo', 'temple', 'catedral', 'cathedral', 'castillo', 'castle',
+    'palacio', 'palace', 'monumento', 'monument', 'visita guiada', 'guided tour', 'mirador', 'santuario',
+    'shrine', 'galería', 'gallery', 'ruinas', 'basílica'],
+  activity: ['tour', 'excursión', 'excursion', 'clase', 'class', 'concierto', 'concert', 'espectáculo',
+    'show', 'entrada', 'ticket', 'senderismo', 'hiking', 'buceo', 'kayak', 'spa', 'partido', 'parque'],
+};
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+/**
+ * Genera el contenido .ics de un itinerario
+ * @param {object} itinerario
+ * @returns {string}
+ */
+export function itinerarioToIcs(itinerario) {
+  const dtstamp = formatUtcDateTime(new Date());
+  const sequence = itinerario.rev || 0;
+  const lastModified = itinerario.actualizadoEn
+    ? formatUtcDateTime(new Date(itinerario.actualizadoEn))
+    : null;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(itinerario.nombre || itinerario.destino)}`,
+  ];
+
+  // Viaje completo (DTEND de un evento de día completo es exclusivo)
+  lines.push(
+    'BEGIN:VEVENT',
+    `UID:${buildUid(itinerario.id)}`,
+    `DTSTAMP:${dtstamp}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${formatDate(itinerario.fechaInicio)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDaysToDate(itinerario.fechaFin, 1))}`,
+    `SUMMARY:${escapeText(itinerario.nombre || itinerario.destino)}`,
+    `LOCATION:${escapeText(itinerario.destino)}`,
+    ...(itinerario.notas ? [`DESCRIPTION:${escapeText(itinerario.notas)}`] : []),
+    ...(lastModified ? [`LAST-MODIFIED:${lastModified}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  );
+
+  itinerario.days.forEach(day => {
+    day.activities
+      .filter(act => isFullDayDuration(act.duration) || !isUnscheduled(act))
+      .forEach(act => {
+        lines.push(...activityToEvent(itinerario, day, act, { dtstamp, sequence, lastModified }));
+      });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+function activityToEvent(itinerario, day, act, { dtstamp, sequence, lastModified }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${buildUid(itinerario.id, act.id)}`,
+    `DTSTAMP:${dtstamp}`,
+    `SEQUENCE:${sequence}`,
+  ];
+
+  const minutos = parseDuration(act.duration);
+  if (isFullDayDuration(act.duration)) {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(day.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(addDaysToDate(day.date, 1))}`
+    );
+  } else {
+    const inicio = zonedTimeToInstant(day.date, act.time, day.timeZone || itinerario.timeZone);
+    lines.push(`DTSTART:${formatUtcDateTime(new Date(inicio))}`);
+    // Sin duración reconocible el evento termina cuando empieza (RFC 5545 §3.6.1)
+    if (minutos) lines.push(`DTEND:${formatUtcDateTime(new Date(inicio + minutos * 60000))}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(act.name)}`);
+  if (act.location) lines.push(`LOCATION:${escapeText(act.location)}`);
+  if (hasCoords(act)) lines.push(`GEO:${act.lat};${act.lng}`);
+  if (act.notes) lines.push(`DESCRIPTION:${escapeText(act.notes)}`);
+  if (act.type) lines.push(`CATEGORIES:${escapeText(act.type)}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${lastModified}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Descarga el itinerario como archivo .ics
+ * @param {object} itinerario
+ */
+export function exportIcs(itinerario) {
+  const nombre = slugify(itinerario.nombre || itinerario.destino) || 'itinerario';
+  downloadFile(itinerarioToIcs(itinerario), `wanderland-${nombre}.ics`, 'text/calendar;charset=utf-8');
+}
+
+// ==========================================================================
+// Import
+// ==========================================================================
+
+/**
+ * Lee los VEVENT de un archivo .ics
+ * @param {string} text - Contenido del archivo
+ * @param {object} options
+ * @param {string} [options.timeZone] - Zona a la que convertir las horas con
+ *   zona (TZID o UTC). Sin ella, las TZID conservan su hora local.
+ * @param {Function} [options.zoneForDate] - date => zona de ese día (o null);
+ *   si la tiene, manda sobre `timeZone` para los eventos que caen en él
+ * @returns {object[]} - [{uid, summary, location, description, categories,
+ *   date, time, allDay, durationMinutes}] ordenados por fecha y hora
+ * @throws {Error} - Si no es un calendario
+ */
+export function parseIcs(text, { timeZone = null, zoneForDate = null } = {}) {
+  const lines = unfoldLines(text).map(parseContentLine).filter(Boolean);
+  if (!lines.some(l => l.name === 'BEGIN' && l.value.toUpperCase() === 'VCALENDAR')) {
+    throw new Error('El archivo no es un calendario iCalendar');
+  }
+
+  const calendarZone = lines.find(l => l.name === 'X-WR-TIMEZONE')?.value;
+  const context = {
+    timeZone,
+    utcZone: timeZone || (isValidTimeZone(calendarZone) ? calendarZone : getBrowserTimeZone()),
+    zoneForDate,
+  };
+
+  const events = [];
+  let current = null;
+  // Profundidad de componentes anidados dentro del VEVENT (p. ej. VALARM)
+  let nested = 0;
+
+  lines.forEach(line => {
+    const value = line.value;
+    if (line.name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT') current = { props: {} };
+      else if (current) nested++;
+      return;
+    }
+    if (line.name === 'END') {
+      if (current && value.toUpperCase() === 'VEVENT') {
+        const event = buildEvent(current.props, context);
+        if (event) events.push(event);
+        current = null;
+      } else if (current && nested > 0) {
+        nested--;
+      }
+      return;
+    }
+    if (current && nested === 0 && !(line.name in current.props)) {
+      current.props[line.name] = line;
+    }
+  });
+
+  return events.sort((a, b) => (a.date + (a.time || '')).localeCompare(b.date + (b.time || '')));
+}
+
+function buildEvent(props, context) {
+  if (!props.DTSTART) return null;
+  if (props.STATUS?.value.toUpperCase() === 'CANCELLED') return null;
+
+  const start = parseDateValue(props.DTSTART, context);
+  if (!start) return null;
+
+  let durationMinutes = null;
+  // El fin en la misma zona que el inicio, aunque caiga en otro día
+  const end = props.DTEND ? parseDateValue(props.DTEND, { ...context, zoneForDate: () => start.zone }) : null;
+  if (end) {
+    durationMinutes = Math.round((wallToMs(end) - wallToMs(start)) / 60000);
+  } else if (props.DURATION) {
+    durationMinutes = parseIsoDuration(props.DURATION.value);
+  }
+
+  return {
+    uid: props.UID?.value || null,
+    summary: unescapeText(props.SUMMARY?.value || ''),
+    location: unescapeText(props.LOCATION?.value || ''),
+    description: unescapeText(props.DESCRIPTION?.value || ''),
+    categories: props.CATEGORIES
+      ? splitEscaped(props.CATEGORIES.value).map(c => unescapeText(c).trim()).filter(Boolean)
+      : [],
+    date: start.date,
+    time: start.time,
+    allDay: start.time === null,
+    durationMinutes: durationMinutes > 0 ? durationMinutes : null,
+  };
+}
+
+/**
+ * Adivina el tipo de actividad de un evento
+ * @param {object} event - Evento de parseIcs()
+ * @param {string[]} types - Tipos disponibles (claves de TYPE_CONFIG)
+ * @returns {string}
+ */
+export function guessActivityType(event, types) {
+  // Un archivo exportado por wanderland ya trae el tipo en CATEGORIES
+  const categoria = event.categories.find(c => types.includes(c));
+  if (categoria) return categoria;
+
+  const texto = ` ${event.summary} ${event.location} `.toLowerCase();
+  const encontrado = Object.entries(TYPE_KEYWORDS)
+    .filter(([type]) => types.includes(type))
+    .find(([, keywords]) => keywords.some(k => texto.includes(k)));
+  if (encontrado) return encontrado[0];
+
+  if (event.allDay && types.includes('hotel') && event.durationMinutes >= 24 * 60) return 'hotel';
+  return types.includes('activity') ? 'activity' : types[0];
+}
+
+/**
+ * Calcula qué actividades crear o actualizar a partir de los eventos
+ * @param {object[]} events - Eventos de parseIcs()
+ * @param {object} itinerario
+ * @param {string[]} types - Claves de TYPE_CONFIG
+ * @returns {object} - {items: [{event, date, activity, existingId, inRange}],
+ *   extension: {fechaInicio, fechaFin} | null}
+ */
+export function planIcsImport(events, itinerario, types) {
+  const porUid = new Map();
+  itinerario.days.forEach(day => day.activities.forEach(act => {
+    if (act.icsUid) porUid.set(act.icsUid, act.id);
+    porUid.set(buildUid(itinerario.id, act.id), act.id);
+  }));
+
+  let fechaInicio = itinerario.fechaInicio;
+  let fechaFin = itinerario.fechaFin;
+
+  // El evento del viaje completo de una exportación propia no es una actividad
+  const uidViaje = buildUid(itinerario.id);
+  const items = events.filter(event => event.uid !== uidViaje).map(event => {
+    const inRange = event.date >= itinerario.fechaInicio && event.date <= itinerario.fechaFin;
+    if (!inRange) {
+      if (event.date < fechaInicio) fechaInicio = event.date;
+      if (event.date > fechaFin) fechaFin = event.date;
+    }
+
+    return {
+      event,
+      date: event.date,
+      inRange,
+      existingId: (event.uid && porUid.get(event.uid)) || null,
+      activity: {
+        name: event.summary || 'Evento importado',
+        location: event.location,
+        time: event.allDay ? '00:00' : event.time,
+        duration: event.allDay
+          ? 'Día completo'
+          : (event.durationMinutes ? formatDuration(event.durationMinutes) : DEFAULT_IMPORT_DURATION),
+        notes: event.description,
+        type: guessActivityType(event, types),
+        icsUid: event.uid,
+      },
+    };
+  });
+
+  const extension = fechaInicio !== itinerario.fechaInicio || fechaFin !== itinerario.fechaFin
+    ? { fechaInicio, fechaFin }
+    : null;
+
+  return { items, extension };
+}
+
+/**
+ * Aplica un plan de importación sobre una copia del itinerario
+ * @param {object} itinerario
+ * @param {object} plan - Resultado de planIcsImport()
+ * @param {object} options
+ * @param {boolean} options.extend - Ampliar las fechas para incluir los eventos de fuera
+ * @returns {object} - {itinerario, added, updated, skipped}
+ */
+export function applyIcsImport(itinerario, plan, { extend = false } = {}) {
+  const it = structuredClone(itinerario);
+  if (extend && plan.extension) {
+    it.fechaInicio = plan.extension.fechaInicio;
+    it.fechaFin = plan.extension.fechaFin;
+    it.days = fillDays(it.days, it.fechaInicio, it.fechaFin, it.timeZone);
+  }
+
+  const usados = new Set();
+  it.days.forEach(day => day.activities.forEach(act => usados.add(act.id)));
+  let seed = Date.now();
+  const nuevoId = () => {
+    let id;
+    do {
+      id = 'act_' + (seed++).toString(16);
+    } while (usados.has(id));
+    usados.add(id);
+    return id;
+  };
+
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  plan.items.forEach(item => {
+    const day = it.days.find(d => d.date === item.date);
+    if (!day) {
+      skipped++;
+      return;
+    }
+
+    const origen = item.existingId && it.days.find(d => d.activities.some(a => a.id === item.existingId));
+    if (origen) {
+      const index = origen.activities.findIndex(a => a.id === item.existingId);
+      const act = { ...origen.activities[index], ...item.activity };
+      origen.activities.splice(index, 1);
+      day.activities.push(act);
+      // El gasto enlazado sigue a la actividad
+      const gasto = act.expenseId && it.expenses.find(e => e.id === act.expenseId);
+      if (gasto) gasto.date = day.date;
+      updated++;
+      return;
+    }
+
+    day.activities.push({
+      id: nuevoId(),
+      ...item.activity,
+      cost: 0,
+      expenseId: null,
+    });
+    added++;
+  });
+
+  return { itinerario: it, added, updated, skipped };
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function buildUid(itinerarioId, activityId = null) {
+  return activityId
+    ? `${itinerarioId}-${activityId}@${UID_DOMAIN}`
+    : `${itinerarioId}@${UID_DOMAIN}`;
+}
+
+/**
+ * Escapa un valor TEXT (RFC 5545 §3.3.11)
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Pliega las líneas de más de 75 octetos (RFC 5545 §3.1) sin partir
+ * caracteres UTF-8 de varios bytes
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  // Las líneas de continuación empiezan por un espacio, que también cuenta
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(CRLF + ' ');
+}
+
+/**
+ * Deshace el plegado de líneas (RFC 5545 §3.1)
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+}
+
+/**
+ * Separa "NOMBRE;PARAM=valor;PARAM2="a:b":VALOR" respetando comillas
+ * @returns {object|null} - {name, params, value}
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colon), ';');
+  const params = {};
+  rawParams.forEach(param => {
+    const eq = param.indexOf('=');
+    if (eq === -1) return;
+    params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Separa una lista de valores TEXT por comas no escapadas
+ */
+function splitEscaped(value) {
+  return value.split(/(?<!\\),/);
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Interpreta DTSTART / DTEND
+ * @returns {object|null} - {date: 'YYYY-MM-DD', time: 'HH:MM' | null, zone?}
+ *   con `zone` la zona a la que se ha convertido, si se ha convertido
+ */
+function parseDateValue(line, { timeZone, utcZone, zoneForDate }) {
+  const match = line.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, , utc] = match;
+  const date = `${y}-${mo}-${d}`;
+  if (line.params.VALUE === 'DATE' || h === undefined) return { date, time: null };
+
+  const time = `${h}:${mi}`;
+  if (utc) return toDayZone(Date.UTC(+y, +mo - 1, +d, +h, +mi), utcZone, zoneForDate);
+
+  // Algunos clientes escriben TZID=/Europe/Madrid
+  const tzid = line.params.TZID?.replace(/^\//, '');
+  if (tzid && timeZone && isValidTimeZone(tzid)) {
+    return toDayZone(zonedTimeToInstant(date, time, tzid), timeZone, zoneForDate);
+  }
+
+  // Hora flotante o TZID desconocida: se conserva la hora de pared
+  return { date, time };
+}
+
+/**
+ * Hora de pared de un instante en la zona del día en que cae o, si ese día
+ * no tiene zona propia, en `zone`
+ */
+function toDayZone(instant, zone, zoneForDate) {
+  const local = instantToZonedTime(instant, zone);
+  const zonaDia = zoneForDate?.(local.date);
+  if (!isValidTimeZone(zonaDia) || zonaDia === zone) return { ...local, zone };
+  return { ...instantToZonedTime(instant, zonaDia), zone: zonaDia };
+}
+
+/**
+ * Duración ISO 8601 de iCalendar (P1D, PT1H30M, P1W) en minutos
+ */
+function parseIsoDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!match) return null;
+  const [, sign, w, d, h, m] = match;
+  if (sign === '-') return null;
+  return ((+w || 0) * 7 * 24 * 60) + ((+d || 0) * 24 * 60) + ((+h || 0) * 60) + (+m || 0);
+}
+
+function wallToMs({ date, time }) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [h, min] = (time || '00:00').split(':').map(Number);
+  return Date.UTC(y, m - 1, d, h, min);
+}
+
+/**
+ * Días de fechaInicio a fechaFin, reutilizando los existentes por fecha.
+ * Los nuevos toman la zona del itinerario
+ */
+function fillDays(days, fechaInicio, fechaFin, timeZone) {
+  const porFecha = new Map(days.map(day => [day.date, day]));
+  const result = [];
+  for (let date = fechaInicio; date <= fechaFin; date = addDaysToDate(date, 1)) {
+    result.push(porFecha.get(date) || { date, timeZone, activities: [] });
+  }
+  // Conservar los días que ya estaban fuera del rango
+  days.forEach(day => {
+    if (day.date < fechaInicio || day.date > fechaFin) result.push(day);
+  });
+  return result.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function formatDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
@@ -0,0 +1,177 @@
+/**
+ * ==========================================================================
+ * wanderland - Itinerary Merge
+ * ==========================================================================
+ *
+ * Fusión a tres bandas para escrituras obsoletas. Cuando una pestaña guarda
+ * un itinerario que otra pestaña ya modificó, se comparan:
+ *   - base:   la versión que la pestaña cargó
+ *   - local:  la versión con los cambios de esta pestaña
+ *   - remote: la versión guardada actualmente
+ * Los cambios que no se pisan se combinan; si ambos lados cambiaron el mismo
+ * campo o la misma actividad de forma distinta, la escritura se rechaza.
+ */
+
+import { CONFIG } from '../config.js';
+import { putItinerario, RevisionConflictError } from './itinerary-store.js';
+
+// Campos que gestiona el almacenamiento, no el usuario
+const CAMPOS_INTERNOS = ['rev', 'schemaVersion', 'actualizadoEn'];
+const CAMPOS_LISTA = ['days', 'expenses', 'checklist'];
+
+// ==========================================================================
+// Merge
+// ==========================================================================
+
+/**
+ * Fusiona los cambios locales y remotos respecto a una base común
+ * @param {object} base
+ * @param {object} local
+ * @param {object} remote
+ * @returns {object} - {merged: object, conflicts: string[]}
+ */
+export function mergeItinerario(base, local, remote) {
+  const conflicts = [];
+  const merged = { ...remote };
+
+  const claves = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  claves.forEach(key => {
+    if (CAMPOS_INTERNOS.includes(key) || CAMPOS_LISTA.includes(key)) return;
+    const result = mergeValue(base[key], local[key], remote[key]);
+    if (result.conflict) conflicts.push(key);
+    merged[key] = result.value;
+  });
+
+  merged.expenses = mergeList(base.expenses, local.expenses, remote.expenses,
+    e => e.id, 'gasto', conflicts);
+  merged.checklist = mergeList(base.checklist, local.checklist, remote.checklist,
+    c => c.label, 'checklist', conflicts);
+  merged.days = mergeDays(base.days, local.days, remote.days, conflicts);
+
+  return { merged, conflicts };
+}
+
+function mergeValue(base, local, remote) {
+  if (isEqual(local, remote)) return { value: local, conflict: false };
+  if (isEqual(local, base)) return { value: remote, conflict: false };
+  if (isEqual(remote, base)) return { value: local, conflict: false };
+  return { value: remote, conflict: true };
+}
+
+/**
+ * Fusiona dos listas de elementos identificables. Conserva el orden remoto
+ * y añade al final lo que se creó localmente.
+ */
+function mergeList(base = [], local = [], remote = [], getKey, label, conflicts) {
+  const baseMap = new Map(base.map(item => [getKey(item), item]));
+  const localMap = new Map(local.map(item => [getKey(item), item]));
+  const remoteMap = new Map(remote.map(item => [getKey(item), item]));
+  const result = [];
+
+  const resolve = key => {
+    const b = baseMap.get(key);
+    const l = localMap.get(key);
+    const r = remoteMap.get(key);
+
+    if (l && r) {
+      const merged = mergeValue(b, l, r);
+      if (merged.conflict) conflicts.push(`${label}: ${key}`);
+      return merged.value;
+    }
+
+    const existente = l || r;
+    if (!b) return existente;                      // Añadido en un solo lado
+    if (isEqual(existente, b)) return null;        // Eliminado en el otro lado
+    conflicts.push(`${label}: ${key}`);            // Editado y eliminado a la vez
+    return existente;
+  };
+
+  remote.forEach(item => {
+    const value = resolve(getKey(item));
+    if (value) result.push(value);
+  });
+  local.forEach(item => {
+    const key = getKey(item);
+    if (remoteMap.has(key)) return;
+    const value = resolve(key);
+    if (value) result.push(value);
+  });
+
+  return result;
+}
+
+function mergeDays(base = [], local = [], remote = [], conflicts) {
+  const byDate = days => new Map(days.map(day => [day.date, day]));
+  const baseMap = byDate(base);
+  const localMap = byDate(local);
+  const remoteMap = byDate(remote);
+
+  const fechas = [...new Set([...remote.map(d => d.date), ...local.map(d => d.date)])];
+
+  return fechas
+    .filter(date => {
+      // Un día que uno de los lados eliminó se mantiene eliminado si el otro no lo tocó
+      const b = baseMap.get(date);
+      const presente = localMap.has(date) && remoteMap.has(date);
+      return presente || !b || !isEqual(localMap.get(date) || remoteMap.get(date), b);
+    })
+    .map(date => {
+      const b = baseMap.get(date) || { date, activities: [] };
+      const l = localMap.get(date) || { date, activities: [] };
+      const r = remoteMap.get(date) || { date, activities: [] };
+      const { activities: _l, ...localRest } = l;
+      const { activities: _r, ...remoteRest } = r;
+      const { activities: _b, ...baseRest } = b;
+      const campos = mergeValue(baseRest, localRest, remoteRest);
+      if (campos.conflict) conflicts.push(`día: ${date}`);
+      return {
+        ...campos.value,
+        activities: mergeList(b.activities, l.activities, r.activities, a => a.id, 'actividad', conflicts),
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// ==========================================================================
+// Save
+// ==========================================================================
+
+/**
+ * Guarda un itinerario comprobando que nadie lo haya modificado desde `base`.
+ * Si otra pestaña lo cambió, intenta fusionar; si los cambios chocan, lanza
+ * RevisionConflictError con la versión actual para que la vista la recargue.
+ * @param {object} local - Versión con los cambios de esta pestaña
+ * @param {object} base - Versión cargada antes de editar
+ * @returns {Promise<object>} - {saved: object, merged: boolean}
+ */
+export async function saveItinerarioMerging(local, base) {
+  let expectedRev = base.rev;
+  let candidato = local;
+  let merged = false;
+  let lastError = null;
+
+  for (let intento = 0; intento < CONFIG.SYNC.MAX_MERGE_ATTEMPTS; intento++) {
+    try {
+      const saved = await putItinerario(candidato, { expectedRev });
+      return { saved, merged };
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError) || !error.current) throw error;
+      lastError = error;
+
+      const result = mergeItinerario(base, local, error.current);
+      if (result.conflicts.length > 0) {
+        console.warn('⚠️ Cambios incompatibles con otra pestaña:', result.conflicts);
+        throw error;
+      }
+      candidato = result.merged;
+      expectedRev = error.current.rev;
+      merged = true;
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,269 @@
+/**
+ * ==========================================================================
+ * wanderland - Itinerary Schema
+ * ==========================================================================
+ *
+ * Esquema versionado de los itinerarios guardados. Cada registro lleva un
+ * `schemaVersion` y al cargarse pasa por la cadena de migraciones en orden
+ * hasta llegar a SCHEMA_VERSION. Para añadir un campo nuevo:
+ *   1. Subir SCHEMA_VERSION
+ *   2. Añadir la migración correspondiente al final de MIGRATIONS
+ *   3. Reflejar el campo en validateItinerario()
+ *
+ * Fechas y horas: `fechaInicio`, `fechaFin` y `days[].date` son días de
+ * calendario (YYYY-MM-DD) y `activities[].time` es hora de pared (HH:MM)
+ * en la zona IANA de su día (`days[].timeZone`, que por defecto es la
+ * del itinerario, `timeZone`), o vacía si la actividad está por planificar.
+ */
+
+import { getBrowserTimeZone, isValidTimeZone } from './time-zone.js';
+import { isValidCoords } from './geo.js';
+import { MODOS_TRASLADO, cleanTravelSettings } from './travel.js';
+import { isValidDayWindow, isValidOpeningHours } from './auto-scheduler.js';
+
+// ==========================================================================
+// Constants
+// ==========================================================================
+
+export const SCHEMA_VERSION = 4;
+
+export const ESTADOS = ['planificando', 'confirmado', 'completado'];
+
+export const DEFAULT_BUDGET = 1500;
+
+export const DEFAULT_CHECKLIST = [
+  'Pasaporte y Visado',
+  'Seguro de viaje',
+  'Mapas sin conexión',
+  'Cambio de moneda',
+  'Adaptador de corriente',
+  'Reservas confirmadas',
+];
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// ==========================================================================
+// Migrations
+// ==========================================================================
+
+/**
+ * Migraciones ordenadas. `version` es la versión que produce la migración;
+ * recibe un registro de la versión anterior y devuelve uno nuevo.
+ * Una migración puede lanzar un error si el registro no es recuperable.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Campos que cargarItinerario rellenaba de forma perezosa',
+    migrate: it => ({
+      ...it,
+      nombre: typeof it.nombre === 'string' ? it.nombre : '',
+      destino: typeof it.destino === 'string' ? it.destino : '',
+      estado: ESTADOS.includes(it.estado) ? it.estado : 'planificando',
+      budget: parseFloat(it.budget) || DEFAULT_BUDGET,
+      notas: typeof it.notas === 'string' ? it.notas : '',
+      days: Array.isArray(it.days) ? it.days : [],
+      expenses: Array.isArray(it.expenses) ? it.expenses : [],
+      checklist: Array.isArray(it.checklist) ? it.checklist : crearChecklist(),
+    }),
+  },
+  {
+    version: 2,
+    description: 'Contador de revisión para detectar escrituras obsoletas entre pestañas',
+    migrate: it => ({
+      ...it,
+      rev: Number.isInteger(it.rev) && it.rev >= 0 ? it.rev : 0,
+    }),
+  },
+  {
+    version: 3,
+    description: 'Zona horaria IANA del itinerario y de cada día',
+    // Las horas guardadas hasta ahora eran las del navegador que las escribió
+    migrate: it => {
+      const timeZone = isValidTimeZone(it.timeZone) ? it.timeZone : getBrowserTimeZone();
+      return {
+        ...it,
+        timeZone,
+        days: it.days.map(day => ({
+          ...day,
+          timeZone: isValidTimeZone(day?.timeZone) ? day.timeZone : timeZone,
+        })),
+      };
+    },
+  },
+  {
+    version: 4,
+    description: 'Campos opcionales de mapa, traslados y planificación',
+    // Un valor opcional mal formado se descarta en lugar de invalidar el viaje
+    migrate: it => ({
+      ...it,
+      transporte: it.transporte == null ? null : cleanTravelSettings(it.transporte),
+      jornada: isValidDayWindow(it.jornada) ? it.jornada : null,
+      days: it.days.map(day => !isPlainObject(day) || !Array.isArray(day.activities) ? day : {
+        ...day,
+        activities: day.activities.map(act => !isPlainObject(act) ? act : {
+          ...act,
+          ...(isValidCoords(act.lat, act.lng) ? { lat: act.lat, lng: act.lng } : { lat: null, lng: null }),
+          travelMode: MODOS_TRASLADO.includes(act.travelMode) ? act.travelMode : null,
+          fixedTime: act.fixedTime === true,
+          horario: isValidOpeningHours(act.horario) ? act.horario : null,
+        }),
+      }),
+    }),
+  },
+];
+
+/**
+ * Lleva un registro desde su versión hasta SCHEMA_VERSION
+ * @param {object} raw - Registro tal y como estaba guardado
+ * @param {number} fromVersion - Versión a asumir si el registro no la indica
+ * @returns {object} - Registro migrado
+ */
+export function migrateItinerario(raw, fromVersion = 0) {
+  if (!isPlainObject(raw)) {
+    throw new Error('El registro no es un objeto');
+  }
+
+  const version = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : fromVersion;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Versión de esquema desconocida: ${version}`);
+  }
+
+  const migrado = MIGRATIONS
+    .filter(m => m.version > version)
+    .reduce((it, m) => m.migrate(it), raw);
+
+  return { ...migrado, schemaVersion: SCHEMA_VERSION };
+}
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+/**
+ * Valida la forma de un itinerario ya migrado
+ * @param {object} it
+ * @returns {object} - {valid: boolean, errors: string[]}
+ */
+export function validateItinerario(it) {
+  const errors = [];
+
+  if (!isPlainObject(it)) {
+    return { valid: false, errors: ['El registro no es un objeto'] };
+  }
+
+  if (typeof it.id !== 'string' || !it.id) errors.push('id ausente');
+  if (typeof it.nombre !== 'string') errors.push('nombre inválido');
+  if (typeof it.destino !== 'string') errors.push('destino inválido');
+  if (!isIsoDate(it.fechaInicio)) errors.push('fechaInicio inválida');
+  if (!isIsoDate(it.fechaFin)) errors.push('fechaFin inválida');
+  if (isIsoDate(it.fechaInicio) && isIsoDate(it.fechaFin) && it.fechaFin < it.fechaInicio) {
+    errors.push('fechaFin anterior a fechaInicio');
+  }
+  if (!ESTADOS.includes(it.estado)) errors.push('estado inválido');
+  if (!Number.isInteger(it.rev) || it.rev < 0) errors.push('rev inválida');
+  if (!isValidTimeZone(it.timeZone)) errors.push('timeZone inválida');
+  if (typeof it.budget !== 'number' || !Number.isFinite(it.budget) || it.budget < 0) {
+    errors.push('budget inválido');
+  }
+  if (it.transporte != null && !isPlainObject(it.transporte)) errors.push('transporte inválido');
+  if (it.jornada != null && !isValidDayWindow(it.jornada)) errors.push('jornada inválida');
+
+  if (!Array.isArray(it.days)) {
+    errors.push('days no es un array');
+  } else {
+    it.days.forEach((day, i) => {
+      if (!isPlainObject(day) || !isIsoDate(day.date) || !Array.isArray(day.activities)) {
+        errors.push(`días[${i}] inválido`);
+        return;
+      }
+      if (!isValidTimeZone(day.timeZone)) errors.push(`días[${i}].timeZone inválida`);
+      day.activities.forEach((act, j) => {
+        if (!isPlainObject(act) || typeof act.id !== 'string' || typeof act.name !== 'string' ||
+            typeof act.time !== 'string') {
+          errors.push(`días[${i}].actividades[${j}] inválida`);
+        } else if ((act.lat != null || act.lng != null) && !isValidCoords(act.lat, act.lng)) {
+          // Las coordenadas son opcionales, pero si están tienen que ser válidas
+          errors.push(`días[${i}].actividades[${j}] con coordenadas inválidas`);
+        } else if (act.travelMode != null && !MODOS_TRASLADO.includes(act.travelMode)) {
+          errors.push(`días[${i}].actividades[${j}] con modo de traslado inválido`);
+        } else if (act.fixedTime != null && typeof act.fixedTime !== 'boolean') {
+          errors.push(`días[${i}].actividades[${j}] con hora fija inválida`);
+        } else if (act.horario != null && !isValidOpeningHours(act.horario)) {
+          errors.push(`días[${i}].actividades[${j}] con horario de apertura inválido`);
+        }
+      });
+    });
+  }
+
+  if (!Array.isArray(it.expenses)) {
+    errors.push('expenses no es un array');
+  } else if (it.expenses.some(e => !isPlainObject(e) || typeof e.id !== 'string' || !Number.isFinite(parseFloat(e.amount)))) {
+    errors.push('expenses contiene gastos inválidos');
+  }
+
+  if (!Array.isArray(it.checklist)) {
+    errors.push('checklist no es un array');
+  } else if (it.checklist.some(c => !isPlainObject(c) || typeof c.label !== 'string')) {
+    errors.push('checklist contiene elementos inválidos');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Migra y valida un registro
+ * @param {object} raw
+ * @param {number} fromVersion
+ * @returns {object} - {ok: true, itinerario} | {ok: false, errors: string[]}
+ */
+export function upgradeItinerario(raw, fromVersion = 0) {
+  let itinerario;
+  try {
+    itinerario = migrateItinerario(raw, fromVersion);
+  } catch (error) {
+    return { ok: false, errors: [error.message] };
+  }
+
+  const validation = validateItinerario(itinerario);
+  if (!validation.valid) {
+    return { ok: false, errors: validation.errors };
+  }
+
+  return { ok: true, itinerario };
+}
+
+// ==========================================================================
+// Factories
+// ==========================================================================
+
+/**
+ * Crea la checklist por defecto
+ * @returns {Array}
+ */
+export function crearChecklist() {
+  return DEFAULT_CHECKLIST.map(label => ({ label, checked: false }));
+}
+
+/**
+ * Construye un itinerario completo en la versión actual del esquema
+ * @param {object} datos - Campos del formulario
+ * @returns {object}
+ */
+export function buildItinerario(datos) {
+  return migrateItinerario({ ...datos, schemaVersion: 0 });
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE_REGEX.test(value) &&
+    !isNaN(new Date(value + 'T00:00:00').getTime());
+}
@@ -0,0 +1,103 @@
+/**
+ * ==========================================================================
+ * wanderland - Itinerary Stats
+ * ==========================================================================
+ *
+ * Estadísticas agregadas de una lista de itinerarios: días de viaje,
+ * países, presupuesto frente a gasto real, categorías más caras, coste
+ * medio por día y cuenta atrás para el siguiente viaje.
+ *
+ * Se calcula siempre desde los datos guardados (los `expenses` de cada
+ * itinerario), sobre la lista que se le pase: el listado le da la ya
+ * filtrada para que los números cuadren con lo que se ve.
+ */
+
+import { getDuracionDias, getMomento, getPais, toLocalIsoDate } from './itinerary-view.js';
+import { daysBetween } from './time-zone.js';
+
+// Tipos de actividad del detalle; los gastos guardan la clave en `category`
+export const CATEGORIAS = {
+  sightseeing: { emoji: '🏛️', label: 'Turismo' },
+  food: { emoji: '🍽️', label: 'Comida' },
+  transport: { emoji: '🚌', label: 'Transporte' },
+  hotel: { emoji: '🏨', label: 'Hotel' },
+  activity: { emoji: '🎯', label: 'Actividad' },
+};
+
+const CATEGORIA_OTROS = { emoji: '🎟️', label: 'Otros' };
+
+const MAX_CATEGORIAS = 3;
+
+/**
+ * Emoji y nombre de una categoría de gasto
+ * @param {string} categoria
+ * @returns {object} - {emoji, label}
+ */
+export function getCategoria(categoria) {
+  return CATEGORIAS[categoria] || CATEGORIA_OTROS;
+}
+
+/**
+ * Total gastado en un itinerario
+ * @param {object} it
+ * @returns {number}
+ */
+export function getGastado(it) {
+  return (it.expenses || []).reduce((sum, exp) => sum + (parseFloat(exp.amount) || 0), 0);
+}
+
+/**
+ * Calcula las estadísticas
+ * @param {Array<object>} itinerarios
+ * @param {string} hoy - YYYY-MM-DD
+ * @returns {object}
+ */
+export function computeStats(itinerarios, hoy = toLocalIsoDate()) {
+  const dias = itinerarios.reduce((sum, it) => sum + getDuracionDias(it), 0);
+  const paises = [...new Set(itinerarios.map(getPais))].sort((a, b) => a.localeCompare(b, 'es'));
+
+  const presupuesto = itinerarios.reduce((sum, it) => sum + (Number(it.budget) || 0), 0);
+  const gastado = itinerarios.reduce((sum, it) => sum + getGastado(it), 0);
+
+  // Las categorías "Otros" (sin tipo o desconocidas) se suman juntas
+  const porCategoria = new Map();
+  itinerarios.forEach(it => {
+    (it.expenses || []).forEach(exp => {
+      const clave = CATEGORIAS[exp.category] ? exp.category : 'otros';
+      porCategoria.set(clave, (porCategoria.get(clave) || 0) + (parseFloat(exp.amount) || 0));
+    });
+  });
+  const categorias = [...porCategoria.entries()]
+    .filter(([, total]) => total > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CATEGORIAS)
+    .map(([clave, total]) => ({ ...getCategoria(clave), total, porcentaje: gastado ? total / gastado : 0 }));
+
+  const enCurso = itinerarios
+    .filter(it => getMomento(it, hoy) === 'en-curso')
+    .sort((a, b) => a.fechaFin.localeCompare(b.fechaFin))[0] || null;
+
+  const siguiente = itinerarios
+    .filter(it => getMomento(it, hoy) === 'proximos')
+    .sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio))[0] || null;
+
+  return {
+    viajes: itinerarios.length,
+    dias,
+    paises,
+    presupuesto,
+    gastado,
+    restante: presupuesto - gastado,
+    categorias,
+    costeMedioDia: dias ? gastado / dias : 0,
+    enCurso: enCurso && {
+      itinerario: enCurso,
+      dia: daysBetween(enCurso.fechaInicio, hoy) + 1,
+      total: getDuracionDias(enCurso),
+    },
+    siguiente: siguiente && {
+      itinerario: siguiente,
+      faltan: daysBetween(hoy, siguiente.fechaInicio),
+    },
+  };
+}
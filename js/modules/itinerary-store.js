@@ -0,0 +1,518 @@
+/**
+ * ==========================================================================
+ * wanderland - Itinerary Store
+ * ==========================================================================
+ *
+ * Lectura y escritura de los itinerarios guardados. Todo lo que se persiste
+ * pasa por aquí para que los registros antiguos se migren al cargarse y los
+ * dañados se aparten en cuarentena en lugar de perderse.
+ *
+ * Se guarda en IndexedDB, un registro por itinerario, de modo que marcar un
+ * elemento de la checklist solo reescribe ese viaje. Si IndexedDB no está
+ * disponible (modo privado, navegadores antiguos) se usa localStorage con
+ * el formato anterior:
+ *   { schemaVersion: number, itinerarios: object[] }
+ * La primera vez que se abre IndexedDB se importan los datos de localStorage.
+ *
+ * Cada escritura incrementa `rev` y se anuncia al resto de pestañas. Quien
+ * guarda indica la revisión sobre la que trabajó (`expectedRev`); si otra
+ * pestaña guardó antes, se lanza RevisionConflictError en lugar de pisarla.
+ */
+
+import { CONFIG } from '../config.js';
+import { getStorage, removeStorage, isQuotaExceededError } from '../utils.js';
+import { SCHEMA_VERSION, upgradeItinerario } from './itinerary-schema.js';
+import { publishChange } from './tab-channel.js';
+
+const STORAGE_KEY = CONFIG.STORAGE_KEYS.SAVED_ITINERARIES;
+const QUARANTINE_KEY = CONFIG.STORAGE_KEYS.QUARANTINED_ITINERARIES;
+const { NAME: DB_NAME, VERSION: DB_VERSION, STORES } = CONFIG.DATABASE;
+const LEGACY_IMPORT_KEY = 'legacyImport';
+
+// ==========================================================================
+// Errors
+// ==========================================================================
+
+export class StorageError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'StorageError';
+    this.cause = cause;
+  }
+}
+
+export class StorageQuotaError extends StorageError {
+  constructor(cause = null) {
+    super(CONFIG.MESSAGES.ERRORS.STORAGE_QUOTA, cause);
+    this.name = 'StorageQuotaError';
+  }
+}
+
+export class RevisionConflictError extends StorageError {
+  /**
+   * @param {object|null} current - Versión guardada actualmente (null si se eliminó)
+   */
+  constructor(current) {
+    super(current ? CONFIG.MESSAGES.ERRORS.STALE_WRITE : CONFIG.MESSAGES.ERRORS.DELETED_ELSEWHERE);
+    this.name = 'RevisionConflictError';
+    this.current = current;
+  }
+}
+
+function toStorageError(error) {
+  if (error instanceof StorageError) return error;
+  if (isQuotaExceededError(error)) return new StorageQuotaError(error);
+  return new StorageError(CONFIG.MESSAGES.ERRORS.GENERIC, error);
+}
+
+// ==========================================================================
+// Public API
+// ==========================================================================
+
+/**
+ * Carga todos los itinerarios, migrándolos a la versión actual.
+ * Orden: los creados más recientemente primero.
+ * @returns {Promise<object>} - {itinerarios: object[], quarantined: number}
+ */
+export async function loadItinerarios() {
+  const backend = await getBackend();
+  const records = await backend.getAll();
+  const { itinerarios, quarantined } = await upgradeRecords(backend, records);
+  return { itinerarios: itinerarios.sort(compararPorCreacion), quarantined };
+}
+
+/**
+ * Obtiene un itinerario por id
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getItinerario(id) {
+  const backend = await getBackend();
+  const raw = await backend.get(id);
+  if (!raw) return null;
+  const { itinerarios } = await upgradeRecords(backend, [raw]);
+  return itinerarios[0] || null;
+}
+
+/**
+ * Guarda (crea o reemplaza) un itinerario
+ * @param {object} itinerario
+ * @param {object} options
+ * @param {number} [options.expectedRev] - Revisión sobre la que se editó; si
+ *   se omite la escritura no se comprueba
+ * @returns {Promise<object>} - El itinerario guardado con su nueva `rev`
+ * @throws {RevisionConflictError} - Si otra pestaña guardó antes
+ * @throws {StorageQuotaError} - Si no queda espacio
+ */
+export async function putItinerario(itinerario, { expectedRev } = {}) {
+  const backend = await getBackend();
+  const result = await backend.putChecked({ ...itinerario, schemaVersion: SCHEMA_VERSION }, expectedRev);
+
+  if (result.conflict) {
+    const current = result.current ? upgradeItinerario(result.current, 0) : null;
+    throw new RevisionConflictError(current?.ok ? current.itinerario : null);
+  }
+
+  publishChange({ type: 'put', id: result.saved.id, rev: result.saved.rev });
+  return result.saved;
+}
+
+/**
+ * Elimina un itinerario
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteItinerario(id) {
+  const backend = await getBackend();
+  await backend.delete(id);
+  publishChange({ type: 'delete', id });
+}
+
+/**
+ * Reemplaza todos los itinerarios guardados por los indicados
+ * @param {object[]} itinerarios
+ * @returns {Promise<void>}
+ */
+export async function replaceItinerarios(itinerarios) {
+  const backend = await getBackend();
+  await backend.replaceAll(itinerarios.map(it => ({ ...it, schemaVersion: SCHEMA_VERSION })));
+  publishChange({ type: 'reset' });
+}
+
+/**
+ * Devuelve los registros apartados por estar dañados
+ * @returns {Promise<object[]>} - [{raw, errors, quarantinedAt}]
+ */
+export async function getQuarantine() {
+  const backend = await getBackend();
+  return backend.getQuarantine();
+}
+
+/**
+ * Vacía la cuarentena
+ * @returns {Promise<void>}
+ */
+export async function clearQuarantine() {
+  const backend = await getBackend();
+  await backend.clearQuarantine();
+}
+
+/**
+ * Estima el uso de almacenamiento del origen
+ * @returns {Promise<object|null>} - {usage, quota} en bytes
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
+
+// ==========================================================================
+// Migración al leer
+// ==========================================================================
+
+async function upgradeRecords(backend, records) {
+  const itinerarios = [];
+  const corruptos = [];
+  const actualizados = [];
+
+  records.forEach(raw => {
+    const result = upgradeItinerario(raw, 0);
+    if (!result.ok) {
+      corruptos.push({ raw, errors: result.errors });
+      return;
+    }
+    itinerarios.push(result.itinerario);
+    if (raw.schemaVersion !== SCHEMA_VERSION) actualizados.push(result.itinerario);
+  });
+
+  // Guardar la versión migrada para que cada migración se ejecute una sola vez
+  if (actualizados.length > 0) {
+    await backend.putMany(actualizados).catch(error => {
+      console.warn('⚠️ No se pudieron guardar los itinerarios migrados:', error);
+    });
+  }
+
+  if (corruptos.length > 0) {
+    await backend.quarantine(corruptos.map(toQuarantineEntry));
+  }
+
+  return { itinerarios, quarantined: corruptos.length };
+}
+
+function toQuarantineEntry({ raw, errors }) {
+  console.warn('⚠️ Itinerario dañado enviado a cuarentena:', errors, raw);
+  return { raw, errors, quarantinedAt: new Date().toISOString() };
+}
+
+/**
+ * Decide si una escritura puede aplicarse sobre el registro actual
+ * @returns {object} - {conflict: true, current} | {conflict: false, saved}
+ */
+function applyRevision(record, current, expectedRev) {
+  const currentRev = current?.rev ?? 0;
+  const stale = expectedRev !== undefined &&
+    (current ? currentRev !== expectedRev : expectedRev > 0);
+
+  if (stale) return { conflict: true, current };
+  return { conflict: false, saved: { ...record, rev: currentRev + 1 } };
+}
+
+function compararPorCreacion(a, b) {
+  const claveA = a.creadoEn || a.id;
+  const claveB = b.creadoEn || b.id;
+  return claveB.localeCompare(claveA);
+}
+
+// ==========================================================================
+// Backend selection
+// ==========================================================================
+
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = openIndexedDbBackend().catch(error => {
+      console.warn('⚠️ IndexedDB no disponible, usando localStorage:', error);
+      return createLocalStorageBackend();
+    });
+  }
+  return backendPromise;
+}
+
+// ==========================================================================
+// IndexedDB backend
+// ==========================================================================
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(toStorageError(tx.error));
+    tx.onerror = () => reject(toStorageError(tx.error));
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new StorageError('IndexedDB no está soportado'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.ITINERARIES)) {
+        db.createObjectStore(STORES.ITINERARIES, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.QUARANTINE)) {
+        db.createObjectStore(STORES.QUARANTINE, { autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STORES.META)) {
+        db.createObjectStore(STORES.META, { keyPath: 'key' });
+      }
+    };
+
+    request.onblocked = () => {
+      console.warn('⚠️ Otra pestaña bloquea la actualización de la base de datos');
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Dejar paso a futuras versiones abiertas desde otra pestaña
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function openIndexedDbBackend() {
+  const db = await openDatabase();
+  await importLegacyStorage(db);
+
+  // Pedir almacenamiento persistente para que el navegador no lo purgue
+  navigator.storage?.persist?.().catch(() => {});
+
+  const store = (name, mode = 'readonly') => {
+    const tx = db.transaction(name, mode);
+    return { tx, store: tx.objectStore(name) };
+  };
+
+  return {
+    name: 'indexeddb',
+
+    async getAll() {
+      return requestToPromise(store(STORES.ITINERARIES).store.getAll());
+    },
+
+    async get(id) {
+      return (await requestToPromise(store(STORES.ITINERARIES).store.get(id))) || null;
+    },
+
+    async putMany(records) {
+      const { tx, store: s } = store(STORES.ITINERARIES, 'readwrite');
+      records.forEach(record => s.put(record));
+      await transactionDone(tx);
+    },
+
+    async putChecked(record, expectedRev) {
+      // Lectura y escritura en la misma transacción: ninguna otra pestaña
+      // puede colarse entre la comprobación y el guardado
+      const { tx, store: s } = store(STORES.ITINERARIES, 'readwrite');
+      let result = null;
+      const request = s.get(record.id);
+      request.onsuccess = () => {
+        result = applyRevision(record, request.result || null, expectedRev);
+        if (!result.conflict) s.put(result.saved);
+      };
+      await transactionDone(tx);
+      return result;
+    },
+
+    async delete(id) {
+      const { tx, store: s } = store(STORES.ITINERARIES, 'readwrite');
+      s.delete(id);
+      await transactionDone(tx);
+    },
+
+    async replaceAll(records) {
+      const { tx, store: s } = store(STORES.ITINERARIES, 'readwrite');
+      s.clear();
+      records.forEach(record => s.put(record));
+      await transactionDone(tx);
+    },
+
+    async quarantine(entries) {
+      const tx = db.transaction([STORES.QUARANTINE, STORES.ITINERARIES], 'readwrite');
+      entries.forEach(entry => {
+        tx.objectStore(STORES.QUARANTINE).add(entry);
+        if (typeof entry.raw?.id === 'string') tx.objectStore(STORES.ITINERARIES).delete(entry.raw.id);
+      });
+      await transactionDone(tx);
+    },
+
+    async getQuarantine() {
+      return requestToPromise(store(STORES.QUARANTINE).store.getAll());
+    },
+
+    async clearQuarantine() {
+      const { tx, store: s } = store(STORES.QUARANTINE, 'readwrite');
+      s.clear();
+      await transactionDone(tx);
+    },
+  };
+}
+
+/**
+ * Importa una única vez lo que hubiera en localStorage. Los registros se
+ * migran al importarse; los que no se pueden leer van a la cuarentena.
+ */
+async function importLegacyStorage(db) {
+  const metaTx = db.transaction(STORES.META, 'readonly');
+  const imported = await requestToPromise(metaTx.objectStore(STORES.META).get(LEGACY_IMPORT_KEY));
+  if (imported) return;
+
+  const { items } = readLegacyEnvelope();
+  const legacyQuarantine = getStorage(QUARANTINE_KEY, []);
+
+  const tx = db.transaction([STORES.ITINERARIES, STORES.QUARANTINE, STORES.META], 'readwrite');
+  let count = 0;
+
+  items.forEach(raw => {
+    const result = upgradeItinerario(raw, 0);
+    if (result.ok) {
+      tx.objectStore(STORES.ITINERARIES).put(result.itinerario);
+      count++;
+    } else {
+      tx.objectStore(STORES.QUARANTINE).add(toQuarantineEntry({ raw, errors: result.errors }));
+    }
+  });
+  (Array.isArray(legacyQuarantine) ? legacyQuarantine : []).forEach(entry => {
+    tx.objectStore(STORES.QUARANTINE).add(entry);
+  });
+  tx.objectStore(STORES.META).put({
+    key: LEGACY_IMPORT_KEY,
+    importedAt: new Date().toISOString(),
+    count,
+  });
+
+  await transactionDone(tx);
+
+  // Solo se borra cuando la importación se ha confirmado
+  removeStorage(STORAGE_KEY);
+  removeStorage(QUARANTINE_KEY);
+  if (count > 0) console.log(`📦 ${count} itinerarios importados desde localStorage`);
+}
+
+// ==========================================================================
+// localStorage backend (fallback)
+// ==========================================================================
+
+/**
+ * Lee el contenido de localStorage. Versiones anteriores guardaban
+ * directamente el array (versión 0); a cada registro sin versión se le
+ * asigna la del envoltorio para que la migración parta del punto correcto.
+ */
+function readLegacyEnvelope() {
+  const payload = getStorage(STORAGE_KEY, null);
+  let version = SCHEMA_VERSION;
+  let items = [];
+
+  if (Array.isArray(payload)) {
+    version = 0;
+    items = payload;
+  } else if (payload && Array.isArray(payload.itinerarios)) {
+    version = Number.isInteger(payload.schemaVersion) ? payload.schemaVersion : 0;
+    items = payload.itinerarios;
+  } else if (payload !== null) {
+    // Formato irreconocible: no se pierde, se aparta entero
+    items = [payload];
+  }
+
+  return {
+    version,
+    items: items.map(raw =>
+      raw && typeof raw === 'object' && !Number.isInteger(raw.schemaVersion)
+        ? { ...raw, schemaVersion: version }
+        : raw
+    ),
+  };
+}
+
+function writeLocal(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    throw toStorageError(error);
+  }
+}
+
+function createLocalStorageBackend() {
+  const readAll = () => readLegacyEnvelope().items;
+  const writeAll = records => writeLocal(STORAGE_KEY, {
+    schemaVersion: SCHEMA_VERSION,
+    itinerarios: records,
+  });
+
+  return {
+    name: 'localstorage',
+
+    async getAll() {
+      return readAll();
+    },
+
+    async get(id) {
+      return readAll().find(it => it?.id === id) || null;
+    },
+
+    async putMany(records) {
+      const todos = readAll();
+      records.forEach(record => {
+        const idx = todos.findIndex(it => it?.id === record.id);
+        if (idx !== -1) todos[idx] = record;
+        else todos.unshift(record);
+      });
+      writeAll(todos);
+    },
+
+    async putChecked(record, expectedRev) {
+      const current = readAll().find(it => it?.id === record.id) || null;
+      const result = applyRevision(record, current, expectedRev);
+      if (!result.conflict) await this.putMany([result.saved]);
+      return result;
+    },
+
+    async delete(id) {
+      writeAll(readAll().filter(it => it?.id !== id));
+    },
+
+    async replaceAll(records) {
+      writeAll(records);
+    },
+
+    async quarantine(entries) {
+      writeLocal(QUARANTINE_KEY, [...getStorage(QUARANTINE_KEY, []), ...entries]);
+      writeAll(readAll().filter(raw => upgradeItinerario(raw, 0).ok));
+    },
+
+    async getQuarantine() {
+      return getStorage(QUARANTINE_KEY, []);
+    },
+
+    async clearQuarantine() {
+      writeLocal(QUARANTINE_KEY, []);
+    },
+  };
+}
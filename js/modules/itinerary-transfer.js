@@ -0,0 +1,295 @@
+/**
+ * ==========================================================================
+ * wanderland - Itinerary Transfer
+ * ==========================================================================
+ *
+ * Exportación e importación de itinerarios en JSON para hacer copias de
+ * seguridad o llevarlos a otro navegador. El archivo tiene la forma:
+ *   {
+ *     format: CONFIG.TRANSFER.FORMAT,
+ *     version: CONFIG.TRANSFER.VERSION,
+ *     exportadoEn: string (ISO),
+ *     itinerarios: object[]   // cada uno con su schemaVersion
+ *   }
+ *
+ * La importación se hace en dos pasos: planImport() calcula qué se va a
+ * escribir (sin tocar nada) para poder enseñar una vista previa, y
+ * applyImport() lo guarda.
+ */
+
+import { CONFIG } from '../config.js';
+import { downloadFile, slugify } from '../utils.js';
+import { upgradeItinerario } from './itinerary-schema.js';
+import { putItinerario, replaceItinerarios } from './itinerary-store.js';
+
+const { FORMAT, VERSION, MAX_FILE_SIZE } = CONFIG.TRANSFER;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Campos que gestiona el almacenamiento y no viajan en el archivo
+const CAMPOS_INTERNOS = ['rev', 'actualizadoEn'];
+
+// Forma de los IDs que genera la app: prefijo (it_/act_/exp_) y hexadecimal
+const ID_REGEX = /^[a-z]+_[0-9a-z]+$/;
+
+// ==========================================================================
+// Errors
+// ==========================================================================
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+/**
+ * Construye el contenido de un archivo de exportación
+ * @param {object[]} itinerarios
+ * @returns {object}
+ */
+export function buildExport(itinerarios) {
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exportadoEn: new Date().toISOString(),
+    itinerarios: itinerarios.map(stripInternos),
+  };
+}
+
+/**
+ * Descarga uno o varios itinerarios como archivo JSON
+ * @param {object[]} itinerarios
+ */
+export function exportItinerarios(itinerarios) {
+  const fecha = new Date().toISOString().split('T')[0];
+  const nombre = itinerarios.length === 1
+    ? slugify(itinerarios[0].nombre || itinerarios[0].destino) || 'itinerario'
+    : 'itinerarios';
+
+  downloadFile(
+    JSON.stringify(buildExport(itinerarios), null, 2),
+    `wanderland-${nombre}-${fecha}.json`,
+    'application/json'
+  );
+}
+
+// ==========================================================================
+// Parse
+// ==========================================================================
+
+/**
+ * Lee y valida un archivo elegido por el usuario
+ * @param {File} file
+ * @returns {Promise<object>} - Ver parseExport()
+ * @throws {ImportError}
+ */
+export async function readImportFile(file) {
+  if (file.size > MAX_FILE_SIZE) {
+    throw new ImportError(CONFIG.MESSAGES.ERRORS.IMPORT_TOO_LARGE);
+  }
+  return parseExport(await file.text());
+}
+
+/**
+ * Valida el contenido de un archivo de exportación. Los itinerarios
+ * inválidos se descartan y se informan en `rejected`.
+ * @param {string} text
+ * @returns {object} - {itinerarios: object[], rejected: object[], exportadoEn: string|null}
+ * @throws {ImportError} - Si el archivo no es una exportación utilizable
+ */
+export function parseExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError(CONFIG.MESSAGES.ERRORS.IMPORT_INVALID);
+  }
+
+  if (!data || data.format !== FORMAT || !Number.isInteger(data.version) ||
+      !Array.isArray(data.itinerarios)) {
+    throw new ImportError(CONFIG.MESSAGES.ERRORS.IMPORT_INVALID);
+  }
+  if (data.version > VERSION) {
+    throw new ImportError(CONFIG.MESSAGES.ERRORS.IMPORT_NEWER_VERSION);
+  }
+
+  const itinerarios = [];
+  const rejected = [];
+
+  data.itinerarios.forEach((raw, index) => {
+    // Los registros exportados no llevan rev: se parte de cero
+    const result = upgradeItinerario({ ...raw, rev: 0 }, 0);
+    if (result.ok) {
+      itinerarios.push(result.itinerario);
+    } else {
+      rejected.push({
+        index,
+        nombre: typeof raw?.nombre === 'string' ? raw.nombre : '',
+        errors: result.errors,
+      });
+    }
+  });
+
+  if (itinerarios.length === 0) {
+    throw new ImportError(CONFIG.MESSAGES.ERRORS.IMPORT_EMPTY);
+  }
+
+  return {
+    itinerarios,
+    rejected,
+    exportadoEn: typeof data.exportadoEn === 'string' ? data.exportadoEn : null,
+  };
+}
+
+// ==========================================================================
+// Plan / Apply
+// ==========================================================================
+
+/**
+ * Calcula el resultado de una importación sin guardar nada
+ * @param {object[]} importados - Itinerarios validados por parseExport()
+ * @param {object[]} existentes - Itinerarios guardados ahora
+ * @param {string} mode - 'merge' (añadir a los actuales) | 'replace' (sustituirlos)
+ * @returns {object} - {mode, itinerarios, duplicados, remapped, regenerados, eliminados}
+ *   remapped: {itinerarios, actividades, gastos} IDs que coinciden con los guardados
+ *   regenerados: {itinerarios, actividades, gastos} IDs mal formados en el archivo
+ */
+export function planImport(importados, existentes, mode) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Modo de importación desconocido: ${mode}`);
+  }
+
+  const existentesPorId = new Map(existentes.map(it => [it.id, it]));
+  // Al reemplazar, los IDs actuales desaparecen y pueden reutilizarse
+  const usados = mode === 'merge' ? collectIds(existentes) : new Set();
+  const remapped = { itinerarios: 0, actividades: 0, gastos: 0 };
+  const regenerados = { itinerarios: 0, actividades: 0, gastos: 0 };
+  const itinerarios = [];
+  let duplicados = 0;
+
+  importados.forEach(it => {
+    const existente = existentesPorId.get(it.id);
+
+    // Reimportar una copia idéntica al combinar no debe duplicar el viaje
+    if (mode === 'merge' && existente && isSameContent(existente, it)) {
+      duplicados++;
+      return;
+    }
+
+    const nuevo = remapIds(it, usados, { remapped, regenerados });
+    if (mode === 'replace') {
+      // Subir la revisión para que las pestañas abiertas detecten el cambio
+      nuevo.rev = existentesPorId.has(nuevo.id) ? existentesPorId.get(nuevo.id).rev + 1 : 0;
+    }
+    itinerarios.push(nuevo);
+  });
+
+  return {
+    mode,
+    itinerarios,
+    duplicados,
+    remapped,
+    regenerados,
+    eliminados: mode === 'replace' ? existentes.length : 0,
+  };
+}
+
+/**
+ * Guarda el resultado de planImport()
+ * @param {object} plan
+ * @returns {Promise<object[]>} - Itinerarios guardados
+ * @throws {StorageError}
+ */
+export async function applyImport(plan) {
+  if (plan.mode === 'replace') {
+    await replaceItinerarios(plan.itinerarios);
+    return plan.itinerarios;
+  }
+
+  const guardados = [];
+  for (const it of plan.itinerarios) {
+    guardados.push(await putItinerario(it));
+  }
+  return guardados;
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function stripInternos(it) {
+  const copia = { ...it };
+  CAMPOS_INTERNOS.forEach(key => delete copia[key]);
+  return copia;
+}
+
+function isSameContent(a, b) {
+  return JSON.stringify(stripInternos(a)) === JSON.stringify(stripInternos(b));
+}
+
+function collectIds(itinerarios) {
+  const ids = new Set();
+  itinerarios.forEach(it => {
+    ids.add(it.id);
+    it.days.forEach(day => day.activities.forEach(act => ids.add(act.id)));
+    it.expenses.forEach(exp => ids.add(exp.id));
+  });
+  return ids;
+}
+
+/**
+ * Devuelve una copia del itinerario cuyos IDs no chocan con `usados`,
+ * manteniendo los enlaces actividad → gasto. Añade los IDs finales a `usados`.
+ * Los IDs que no tienen la forma de los de la app se regeneran: acaban en
+ * atributos `data-id` del HTML. Cada caso se cuenta en su contador.
+ */
+function remapIds(it, usados, { remapped, regenerados }) {
+  const copia = structuredClone(it);
+
+  const reservar = (id, prefix, contador) => {
+    const valido = typeof id === 'string' && ID_REGEX.test(id) && id.startsWith(prefix);
+    if (valido && !usados.has(id)) {
+      usados.add(id);
+      return id;
+    }
+    const nuevo = generarId(prefix, usados);
+    usados.add(nuevo);
+    (valido ? remapped : regenerados)[contador]++;
+    return nuevo;
+  };
+
+  copia.id = reservar(copia.id, 'it_', 'itinerarios');
+
+  const gastos = new Map();
+  copia.expenses.forEach(exp => {
+    const id = reservar(exp.id, 'exp_', 'gastos');
+    gastos.set(exp.id, id);
+    exp.id = id;
+  });
+
+  copia.days.forEach(day => day.activities.forEach(act => {
+    act.id = reservar(act.id, 'act_', 'actividades');
+    if (act.expenseId) act.expenseId = gastos.get(act.expenseId) ?? null;
+  }));
+
+  return copia;
+}
+
+/**
+ * Genera un ID con el prefijo dado (it_/act_/exp_) que no esté en uso.
+ * Se mantiene el formato hexadecimal basado en la fecha que usa el resto
+ * de la app.
+ */
+function generarId(prefix, usados) {
+  let seed = Date.now();
+  let id;
+  do {
+    id = prefix + (seed++).toString(16);
+  } while (usados.has(id));
+  return id;
+}
@@ -0,0 +1,323 @@
+/**
+ * ==========================================================================
+ * wanderland - Itinerary View
+ * ==========================================================================
+ *
+ * Cómo se ve la lista de itinerarios: filtro por estado y por momento
+ * (próximos / en curso / pasados), rango de fechas, orden, agrupación y
+ * si se muestra como tarjetas o como calendario (y qué mes).
+ *
+ * La vista es un objeto plano que se guarda en las preferencias del usuario
+ * y se refleja en la query string, así que sobrevive a recargas y se puede
+ * compartir el enlace. Solo se escriben en la URL los valores que no son
+ * los de por defecto.
+ */
+
+import { CONFIG } from '../config.js';
+import { getStorage, setStorage } from '../utils.js';
+import { findDestinationByName } from './destinations.js';
+import { countTripDays } from './time-zone.js';
+
+// ==========================================================================
+// Constants
+// ==========================================================================
+
+export const ESTADOS_FILTRO = ['todos', 'planificando', 'confirmado', 'completado'];
+
+export const MOMENTOS = {
+  todos: 'Cualquier fecha',
+  proximos: 'Próximos',
+  'en-curso': 'En curso',
+  pasados: 'Pasados',
+};
+
+// Dirección con la que empieza cada orden al elegirlo
+export const ORDENES = {
+  creacion: { label: 'Fecha de creación', direccion: 'desc' },
+  inicio: { label: 'Fecha de inicio', direccion: 'asc' },
+  duracion: { label: 'Duración', direccion: 'desc' },
+  presupuesto: { label: 'Presupuesto', direccion: 'desc' },
+  actualizado: { label: 'Última modificación', direccion: 'desc' },
+};
+
+export const AGRUPACIONES = {
+  ninguna: 'Sin agrupar',
+  anio: 'Por año',
+  pais: 'Por país',
+};
+
+export const MODOS = {
+  tarjetas: 'Tarjetas',
+  calendario: 'Calendario',
+};
+
+export const DEFAULT_VIEW = Object.freeze({
+  estado: 'todos',
+  momento: 'todos',
+  orden: 'creacion',
+  direccion: 'desc',
+  desde: '',
+  hasta: '',
+  agrupar: 'ninguna',
+  modo: 'tarjetas',
+  mes: '',            // YYYY-MM del calendario; vacío = el mes actual
+});
+
+// Campos de presentación: "Restablecer vista" no los toca
+const CAMPOS_PRESENTACION = ['modo', 'mes'];
+
+// Nombre de cada campo de la vista en la URL
+const URL_PARAMS = {
+  estado: 'estado',
+  momento: 'momento',
+  orden: 'orden',
+  direccion: 'dir',
+  desde: 'desde',
+  hasta: 'hasta',
+  agrupar: 'agrupar',
+  modo: 'modo',
+  mes: 'mes',
+};
+
+const PREFERENCES_KEY = 'vistaItinerarios';
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// ==========================================================================
+// Normalización y persistencia
+// ==========================================================================
+
+/**
+ * Corrige una vista que viene de fuera (URL, preferencias antiguas):
+ * descarta valores desconocidos y ordena el rango de fechas
+ * @param {object} raw
+ * @returns {object}
+ */
+export function normalizeView(raw = {}) {
+  const vista = { ...DEFAULT_VIEW };
+
+  if (ESTADOS_FILTRO.includes(raw.estado)) vista.estado = raw.estado;
+  if (raw.momento in MOMENTOS) vista.momento = raw.momento;
+  if (raw.agrupar in AGRUPACIONES) vista.agrupar = raw.agrupar;
+  if (raw.modo in MODOS) vista.modo = raw.modo;
+  if (ISO_MONTH_REGEX.test(raw.mes)) vista.mes = raw.mes;
+  if (raw.orden in ORDENES) {
+    vista.orden = raw.orden;
+    vista.direccion = ORDENES[raw.orden].direccion;
+  }
+  if (raw.direccion === 'asc' || raw.direccion === 'desc') vista.direccion = raw.direccion;
+  if (ISO_DATE_REGEX.test(raw.desde)) vista.desde = raw.desde;
+  if (ISO_DATE_REGEX.test(raw.hasta)) vista.hasta = raw.hasta;
+
+  if (vista.desde && vista.hasta && vista.desde > vista.hasta) {
+    [vista.desde, vista.hasta] = [vista.hasta, vista.desde];
+  }
+
+  return vista;
+}
+
+/**
+ * Vista inicial: la de la URL si trae alguna opción; si no, la guardada
+ * @param {string} search - window.location.search
+ * @returns {object}
+ */
+export function loadView(search) {
+  const params = new URLSearchParams(search);
+  const enUrl = Object.values(URL_PARAMS).some(name => params.has(name));
+
+  if (enUrl) {
+    const raw = {};
+    Object.entries(URL_PARAMS).forEach(([campo, name]) => {
+      if (params.has(name)) raw[campo] = params.get(name);
+    });
+    return normalizeView(raw);
+  }
+
+  const preferencias = getStorage(CONFIG.STORAGE_KEYS.USER_PREFERENCES, {}) || {};
+  return normalizeView(preferencias[PREFERENCES_KEY]);
+}
+
+/**
+ * Guarda la vista en las preferencias (sin tocar el resto). El mes del
+ * calendario no se guarda: al volver otro día se abre en el mes actual.
+ * @param {object} vista
+ */
+export function saveView(vista) {
+  const preferencias = getStorage(CONFIG.STORAGE_KEYS.USER_PREFERENCES, {}) || {};
+  setStorage(CONFIG.STORAGE_KEYS.USER_PREFERENCES, {
+    ...preferencias,
+    [PREFERENCES_KEY]: { ...vista, mes: DEFAULT_VIEW.mes },
+  });
+}
+
+/**
+ * Query string con la vista aplicada sobre los parámetros existentes
+ * @param {object} vista
+ * @param {string} search - Query actual (se conservan los parámetros ajenos)
+ * @returns {string} - Sin "?"; vacía si todo está por defecto
+ */
+export function viewToSearch(vista, search = '') {
+  const params = new URLSearchParams(search);
+  const direccionPorDefecto = ORDENES[vista.orden].direccion;
+
+  Object.entries(URL_PARAMS).forEach(([campo, name]) => {
+    const porDefecto = campo === 'direccion' ? direccionPorDefecto : DEFAULT_VIEW[campo];
+    if (vista[campo] && vista[campo] !== porDefecto) params.set(name, vista[campo]);
+    else params.delete(name);
+  });
+
+  return params.toString();
+}
+
+/**
+ * ¿Está todo como por defecto? (sin filtros, orden ni agrupación; el modo
+ * tarjetas/calendario no cuenta)
+ * @param {object} vista
+ * @returns {boolean}
+ */
+export function isDefaultView(vista) {
+  return viewToSearch(resetView(vista)) === viewToSearch(vista);
+}
+
+/**
+ * Vista por defecto conservando el modo y el mes que se están viendo
+ * @param {object} vista
+ * @returns {object}
+ */
+export function resetView(vista) {
+  const presentacion = Object.fromEntries(CAMPOS_PRESENTACION.map(campo => [campo, vista[campo]]));
+  return { ...DEFAULT_VIEW, ...presentacion };
+}
+
+// ==========================================================================
+// Fechas
+// ==========================================================================
+
+/**
+ * Fecha local de hoy en formato ISO (YYYY-MM-DD)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toLocalIsoDate(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Momento del viaje respecto a hoy
+ * @param {object} it
+ * @param {string} hoy - YYYY-MM-DD
+ * @returns {string} - 'proximos' | 'en-curso' | 'pasados'
+ */
+export function getMomento(it, hoy = toLocalIsoDate()) {
+  if (it.fechaInicio > hoy) return 'proximos';
+  if (it.fechaFin < hoy) return 'pasados';
+  return 'en-curso';
+}
+
+/**
+ * Días del viaje, contando el primero y el último
+ * @param {object} it
+ * @returns {number}
+ */
+export function getDuracionDias(it) {
+  return countTripDays(it.fechaInicio, it.fechaFin);
+}
+
+/**
+ * País del destino: lo que va tras la última coma ("Kioto, Japón"), el del
+ * catálogo si el destino es una ciudad conocida, o el propio destino
+ * @param {object} it
+ * @returns {string}
+ */
+export function getPais(it) {
+  const destino = (it.destino || '').trim();
+  if (!destino) return 'Sin destino';
+
+  const partes = destino.split(',').map(p => p.trim()).filter(Boolean);
+  if (partes.length > 1) return partes[partes.length - 1];
+
+  return findDestinationByName(destino)?.country || destino;
+}
+
+// ==========================================================================
+// Aplicar la vista
+// ==========================================================================
+
+/**
+ * Filtros de estado, momento y rango de fechas. Un viaje entra en el rango
+ * si se solapa con él aunque sea un día.
+ * @param {object} it
+ * @param {object} vista
+ * @param {string} hoy
+ * @returns {boolean}
+ */
+export function matchesView(it, vista, hoy = toLocalIsoDate()) {
+  if (vista.estado !== 'todos' && it.estado !== vista.estado) return false;
+  if (vista.momento !== 'todos' && getMomento(it, hoy) !== vista.momento) return false;
+  if (vista.desde && it.fechaFin < vista.desde) return false;
+  if (vista.hasta && it.fechaInicio > vista.hasta) return false;
+  return true;
+}
+
+const CLAVES_ORDEN = {
+  creacion: it => it.creadoEn || it.id,
+  inicio: it => it.fechaInicio,
+  duracion: it => getDuracionDias(it),
+  presupuesto: it => Number(it.budget) || 0,
+  actualizado: it => it.actualizadoEn || it.creadoEn || it.id,
+};
+
+/**
+ * Ordena una lista (sin modificarla)
+ * @param {Array} lista
+ * @param {object} vista
+ * @param {Function} getItinerario - Para listas de objetos que envuelven el itinerario
+ * @returns {Array}
+ */
+export function sortByView(lista, vista, getItinerario = x => x) {
+  const clave = CLAVES_ORDEN[vista.orden];
+  const signo = vista.direccion === 'asc' ? 1 : -1;
+
+  return [...lista].sort((a, b) => {
+    const ka = clave(getItinerario(a));
+    const kb = clave(getItinerario(b));
+    const cmp = typeof ka === 'number' ? ka - kb : String(ka).localeCompare(String(kb));
+    return cmp * signo;
+  });
+}
+
+/**
+ * Reparte una lista ya ordenada en grupos
+ * @param {Array} lista
+ * @param {object} vista
+ * @param {Function} getItinerario
+ * @returns {Array<object>} - [{key, label, items}]; un solo grupo sin label si no se agrupa
+ */
+export function groupByView(lista, vista, getItinerario = x => x) {
+  if (vista.agrupar === 'ninguna') {
+    return [{ key: 'todos', label: null, items: lista }];
+  }
+
+  const clave = vista.agrupar === 'anio'
+    ? item => getItinerario(item).fechaInicio.slice(0, 4)
+    : item => getPais(getItinerario(item));
+
+  const grupos = new Map();
+  lista.forEach(item => {
+    const key = clave(item);
+    if (!grupos.has(key)) grupos.set(key, { key, label: key, items: [] });
+    grupos.get(key).items.push(item);
+  });
+
+  const ordenados = [...grupos.values()];
+  if (vista.agrupar === 'anio') {
+    // Los años siguen el orden de fechas si se ordena por inicio; si no, el más reciente primero
+    const asc = vista.orden === 'inicio' && vista.direccion === 'asc';
+    ordenados.sort((a, b) => (asc ? 1 : -1) * a.key.localeCompare(b.key));
+  } else {
+    ordenados.sort((a, b) => a.key.localeCompare(b.key, 'es'));
+  }
+  return ordenados;
+}
@@ -0,0 +1,151 @@
+/**
+ * ==========================================================================
+ * wanderland - Offline
+ * ==========================================================================
+ *
+ * Registro del service worker (sw.js) y avisos relacionados:
+ *   - Banner "Sin conexión" mientras el navegador esté offline
+ *   - Aviso "Nueva versión disponible" cuando hay un service worker en
+ *     espera; al aceptar se activa y se recarga la página
+ *
+ * Todo depende de CONFIG.FEATURES.ENABLE_OFFLINE_MODE y
+ * ENABLE_SERVICE_WORKER. Si se desactivan, el service worker que hubiera
+ * registrado se elimina para no seguir sirviendo una caché antigua.
+ */
+
+import { isFeatureEnabled } from '../config.js';
+import { isOnline } from '../utils.js';
+
+// sw.js vive en la raíz del sitio para controlar también /pages/
+const SW_URL = new URL('../../sw.js', import.meta.url);
+
+let container = null;
+
+// ==========================================================================
+// Service worker
+// ==========================================================================
+
+/**
+ * Registra el service worker si las features están activas
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return null;
+
+  const enabled = isFeatureEnabled('ENABLE_SERVICE_WORKER') && isFeatureEnabled('ENABLE_OFFLINE_MODE');
+  if (!enabled) {
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    await Promise.all(registrations.map(r => r.unregister()));
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(SW_URL, {
+      scope: new URL('./', SW_URL).pathname,
+    });
+    watchForUpdates(registration);
+    return registration;
+  } catch (error) {
+    console.warn('⚠️ No se pudo registrar el service worker:', error);
+    return null;
+  }
+}
+
+function watchForUpdates(registration) {
+  // Ya había una versión esperando de una visita anterior
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      // Sin controller es la primera instalación: no hay nada que actualizar
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
+
+function showUpdatePrompt(worker) {
+  const banner = getBanner('app-update-banner', 'alert-info',
+    '<span>Hay una nueva versión de wanderland.</span><button type="button" class="btn-primary">Actualizar</button>');
+
+  banner.querySelector('button').onclick = () => {
+    banner.querySelector('button').disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  banner.hidden = false;
+}
+
+// ==========================================================================
+// Offline banner
+// ==========================================================================
+
+/**
+ * Muestra u oculta el aviso de "sin conexión"
+ * @param {boolean} offline
+ */
+export function setOfflineBanner(offline) {
+  if (!isFeatureEnabled('ENABLE_OFFLINE_MODE')) return;
+  if (!offline && !document.getElementById('app-offline-banner')) return;
+
+  const banner = getBanner('app-offline-banner', 'alert-warning',
+    '<span>Sin conexión. Puedes seguir consultando y editando tus viajes; se guardan en este dispositivo.</span>');
+  banner.hidden = !offline;
+}
+
+/**
+ * Registra el service worker y enlaza el banner a los eventos
+ * online/offline. Para páginas que no cargan main.js.
+ */
+export function initOfflineSupport() {
+  registerServiceWorker();
+  setOfflineBanner(!isOnline());
+  window.addEventListener('online', () => setOfflineBanner(false));
+  window.addEventListener('offline', () => setOfflineBanner(true));
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function getBanner(id, variant, html) {
+  let banner = document.getElementById(id);
+  if (banner) return banner;
+
+  if (!container) container = getBannerContainer();
+
+  banner = document.createElement('div');
+  banner.id = id;
+  banner.className = `alert ${variant} app-banner`;
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = html;
+  banner.hidden = true;
+  container.appendChild(banner);
+  return banner;
+}
+
+/**
+ * Contenedor de los avisos globales (abajo a la izquierda). Lo comparten
+ * los banners de este módulo y el indicador de sincronización.
+ * @returns {HTMLElement}
+ */
+export function getBannerContainer() {
+  let el = document.querySelector('.app-banners');
+  if (!el) {
+    el = document.createElement('div');
+    el.className = 'app-banners';
+    document.body.appendChild(el);
+  }
+  return el;
+}
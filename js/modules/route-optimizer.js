@@ -0,0 +1,261 @@
+/**
+ * ==========================================================================
+ * wanderland - Route Optimizer
+ * ==========================================================================
+ *
+ * Reordena las actividades de un día para recorrer menos distancia
+ * (vecino más cercano y después 2-opt; es un viajante de comercio pequeño,
+ * de unas pocas decenas de puntos como mucho).
+ *
+ * En dos pasos, como la importación: planRouteOptimization() propone el
+ * orden nuevo con la distancia de antes y de después, y
+ * applyRouteOptimization() devuelve las actividades con sus horas nuevas.
+ *
+ * Qué se queda en su sitio:
+ * - Las de hora fija (`fixedTime`: una reserva, un check-in) conservan
+ *   posición y hora; las demás se recolocan entre ellas, dejando el
+ *   traslado estimado (ver travel.js) entre una y otra. Si el orden nuevo
+ *   no llega a tiempo a la siguiente de hora fija, ese tramo se queda como
+ *   estaba.
+ * - Las que no tienen coordenadas conservan su posición (no se sabe dónde
+ *   están) pero sí se les recalcula la hora.
+ * - Las de día completo y las que están por planificar no forman parte
+ *   de la ruta.
+ */
+
+import { CONFIG } from '../config.js';
+import { isFullDayDuration, parseDuration } from './duration.js';
+import { hasCoords, distanceMeters } from './geo.js';
+import { activityInterval, parseTime, recomputeTimes, isUnscheduled, compareByTime } from './day-schedule.js';
+import { estimateLeg, getTravelMode } from './travel.js';
+
+// ==========================================================================
+// Distancias
+// ==========================================================================
+
+/**
+ * Metros en línea recta de un recorrido, sumando solo los tramos entre
+ * actividades consecutivas con coordenadas
+ * @param {Array<object>} acts - En orden de visita
+ * @returns {number}
+ */
+export function routeLength(acts) {
+  return acts.slice(1).reduce((total, act, i) => {
+    const anterior = acts[i];
+    return hasCoords(anterior) && hasCoords(act) ? total + distanceMeters(anterior, act) : total;
+  }, 0);
+}
+
+// Distancia entre dos puntos que pueden faltar (extremos abiertos)
+function tramo(a, b) {
+  return a && b ? distanceMeters(a, b) : 0;
+}
+
+// ==========================================================================
+// Heurística
+// ==========================================================================
+
+/**
+ * Vecino más cercano desde `inicio` (o desde cada punto si no hay inicio,
+ * quedándose con el mejor recorrido)
+ */
+function nearestNeighbour(puntos, inicio, fin) {
+  const recorrer = (desde, restantes) => {
+    const orden = [];
+    let actual = desde;
+    const pendientes = [...restantes];
+    while (pendientes.length) {
+      let mejor = 0;
+      pendientes.forEach((p, i) => {
+        if (tramo(actual, p) < tramo(actual, pendientes[mejor])) mejor = i;
+      });
+      actual = pendientes.splice(mejor, 1)[0];
+      orden.push(actual);
+    }
+    return orden;
+  };
+
+  if (inicio) return recorrer(inicio, puntos);
+
+  const longitud = orden => routeLength(orden) + tramo(orden[orden.length - 1], fin);
+  return puntos
+    .map((primero, i) => [primero, ...recorrer(primero, puntos.filter((_, j) => j !== i))])
+    .reduce((mejor, orden) => longitud(orden) < longitud(mejor) ? orden : mejor);
+}
+
+/**
+ * 2-opt: invierte tramos del recorrido mientras alguno lo acorte. `inicio`
+ * y `fin` son fijos (o null si ese extremo está libre)
+ */
+function twoOpt(orden, inicio, fin) {
+  const ruta = [...orden];
+  const EPSILON = 1e-6;
+  let mejora = true;
+
+  while (mejora) {
+    mejora = false;
+    for (let i = 0; i < ruta.length - 1; i++) {
+      for (let j = i + 1; j < ruta.length; j++) {
+        const antes = i === 0 ? inicio : ruta[i - 1];
+        const despues = j === ruta.length - 1 ? fin : ruta[j + 1];
+        const delta = tramo(antes, ruta[j]) + tramo(ruta[i], despues) -
+          tramo(antes, ruta[i]) - tramo(ruta[j], despues);
+        if (delta < -EPSILON) {
+          ruta.splice(i, j - i + 1, ...ruta.slice(i, j + 1).reverse());
+          mejora = true;
+        }
+      }
+    }
+  }
+
+  return ruta;
+}
+
+/**
+ * Mejor orden de un grupo de actividades movibles entre dos extremos
+ */
+function optimizarGrupo(grupo, inicio, fin) {
+  if (grupo.length < 2) return grupo;
+  return twoOpt(nearestNeighbour(grupo, inicio, fin), inicio, fin);
+}
+
+// ==========================================================================
+// Plan
+// ==========================================================================
+
+const esMovible = act => !act.fixedTime && hasCoords(act);
+
+/**
+ * Minuto en que queda libre una actividad de hora fija
+ */
+function finAncla(ancla, day) {
+  return activityInterval(ancla, day)?.end ?? parseTime(ancla.time);
+}
+
+/**
+ * Minutos de traslado entre dos actividades
+ */
+function traslado(from, to, settings) {
+  const estimate = estimateLeg(from, to, settings);
+  if (!estimate) return CONFIG.SCHEDULE.BUFFER_MIN;
+  return estimate.modes[getTravelMode(from, estimate, settings)].minutes;
+}
+
+/**
+ * Propone un orden más corto para las actividades de un día
+ * @param {object} day - {date, timeZone, activities}
+ * @param {object} settings - De getTravelSettings()
+ * @returns {object} - {
+ *   orden: [{act, time}] en el orden nuevo, con la hora propuesta
+ *   antes, despues: metros en línea recta del recorrido
+ *   movibles: cuántas actividades se pueden recolocar
+ *   cambios: si el orden es distinto del actual
+ *   descartados: tramos que se quedan como estaban porque reordenados no
+ *     llegarían a tiempo a la siguiente de hora fija o pasarían de medianoche
+ * }
+ */
+export function planRouteOptimization(day, settings) {
+  const ruta = [...day.activities]
+    .filter(act => !isFullDayDuration(act.duration) && !isUnscheduled(act))
+    .sort(compareByTime);
+
+  // Cada grupo de movibles seguidas se optimiza entre sus vecinas fijas
+  const propuesta = [...ruta];
+  for (let i = 0; i < propuesta.length; i++) {
+    if (!esMovible(propuesta[i])) continue;
+    let j = i;
+    while (j + 1 < propuesta.length && esMovible(propuesta[j + 1])) j++;
+
+    const inicio = i > 0 && hasCoords(propuesta[i - 1]) ? propuesta[i - 1] : null;
+    const fin = j + 1 < propuesta.length && hasCoords(propuesta[j + 1]) ? propuesta[j + 1] : null;
+    propuesta.splice(i, j - i + 1, ...optimizarGrupo(propuesta.slice(i, j + 1), inicio, fin));
+    i = j;
+  }
+
+  const { orden, descartados } = asignarHoras(propuesta, ruta, day, settings);
+  const acts = orden.map(({ act }) => act);
+
+  return {
+    orden,
+    antes: routeLength(ruta),
+    despues: routeLength(acts),
+    movibles: ruta.filter(esMovible).length,
+    cambios: acts.some((act, i) => act !== ruta[i]),
+    descartados,
+  };
+}
+
+/**
+ * Horas del orden nuevo: entre dos de hora fija, las demás van seguidas
+ * según su duración y el traslado desde que termina la anterior fija. Los
+ * tramos que no cambian de orden conservan sus horas, y los que no llegan
+ * a tiempo a la siguiente fija (o se pasan de medianoche) vuelven al orden
+ * de antes.
+ * @returns {object} - {orden: [{act, time}], descartados}
+ */
+function asignarHoras(propuesta, original, day, settings) {
+  const orden = [];
+  const minutos = (from, to) => traslado(from, to, settings);
+  let desde = 0;
+  let anclaAnterior = null;
+  let descartados = 0;
+
+  const cerrarTramo = (hasta, ancla) => {
+    const tramo = propuesta.slice(desde, hasta);
+    const anterior = original.slice(desde, hasta);
+    if (tramo.every((act, k) => act === anterior[k])) {
+      tramo.forEach(act => orden.push({ act, time: act.time }));
+      return;
+    }
+
+    // Con la fija anterior delante para contar el traslado desde ella
+    const { times, overflow } = anclaAnterior ?
+      recomputeTimes([anclaAnterior, ...tramo], finAncla(anclaAnterior, day), minutos) :
+      recomputeTimes(tramo, null, minutos);
+    const horas = anclaAnterior ? times.slice(1) : times;
+
+    // Tampoco vale un orden que deja actividades pasada la medianoche
+    if (overflow.length || (ancla && !llegaATiempo(tramo, horas, ancla, settings))) {
+      descartados++;
+      anterior.forEach(act => orden.push({ act, time: act.time }));
+      return;
+    }
+    tramo.forEach((act, k) => orden.push({ act, time: horas[k] }));
+  };
+
+  propuesta.forEach((act, i) => {
+    if (!act.fixedTime) return;
+    cerrarTramo(i, act);
+    orden.push({ act, time: act.time });
+    desde = i + 1;
+    anclaAnterior = act;
+  });
+  cerrarTramo(propuesta.length, null);
+
+  return { orden, descartados };
+}
+
+/**
+ * ¿Termina el tramo, con el traslado, antes de que empiece la fija siguiente?
+ */
+function llegaATiempo(tramo, horas, ancla, settings) {
+  if (!tramo.length) return true;
+  const ultima = tramo[tramo.length - 1];
+  const fin = parseTime(horas[horas.length - 1]) + (parseDuration(ultima.duration) ?? 0);
+  return fin + traslado(ultima, ancla, settings) <= parseTime(ancla.time);
+}
+
+// ==========================================================================
+// Aplicar
+// ==========================================================================
+
+/**
+ * Actividades del día con el orden propuesto (las de día completo se quedan igual)
+ * @param {object} day
+ * @param {object} plan - De planRouteOptimization()
+ * @returns {Array<object>}
+ */
+export function applyRouteOptimization(day, plan) {
+  const horas = new Map(plan.orden.map(({ act, time }) => [act.id, time]));
+  return day.activities.map(act => horas.has(act.id) ? { ...act, time: horas.get(act.id) } : act);
+}
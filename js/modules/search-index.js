@@ -0,0 +1,262 @@
+/**
+ * ==========================================================================
+ * wanderland - Search Index
+ * ==========================================================================
+ *
+ * Índice de texto completo de los itinerarios: destino, nombre, notas,
+ * actividades (nombre, ubicación, notas), gastos y checklist.
+ *
+ * El texto se normaliza igual que en slugify() (minúsculas y sin acentos),
+ * así que "japon" encuentra "Japón". Cada palabra de la búsqueda tiene que
+ * ser el principio de alguna palabra del itinerario ("kin" → "Kinkaku-ji").
+ *
+ * El índice es invertido (palabra → campos donde aparece) y se actualiza
+ * por itinerario: al editar uno solo se reindexa ese, y buscar no vuelve
+ * a recorrer el contenido de los viajes.
+ */
+
+import { normalizeText } from '../utils.js';
+
+// Peso de cada tipo de campo en la relevancia
+const FIELD_WEIGHTS = {
+  destino: 5,
+  nombre: 4,
+  actividad: 3,
+  ubicacion: 2,
+  gasto: 2,
+  checklist: 1,
+  notas: 1,
+};
+
+// Cómo se explica la coincidencia al usuario
+const FIELD_LABELS = {
+  destino: 'destino',
+  nombre: 'nombre',
+  actividad: 'actividad',
+  ubicacion: 'ubicación',
+  gasto: 'gasto',
+  checklist: 'checklist',
+  notas: 'notas',
+};
+
+const SNIPPET_LENGTH = 60;
+
+// ==========================================================================
+// Tokenizer
+// ==========================================================================
+
+/**
+ * Palabras normalizadas de un texto. Separa por cualquier cosa que no sea
+ * letra o número ("Kinkaku-ji" → ["kinkaku", "ji"]).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Campos indexables de un itinerario
+ * @param {object} it
+ * @returns {Array<object>} - {type, text, context}
+ */
+function extractFields(it) {
+  const fields = [
+    { type: 'destino', text: it.destino },
+    { type: 'nombre', text: it.nombre },
+    { type: 'notas', text: it.notas },
+  ];
+
+  const gastosDeActividades = new Set();
+
+  (it.days || []).forEach(day => {
+    (day.activities || []).forEach(act => {
+      fields.push({ type: 'actividad', text: act.name });
+      fields.push({ type: 'ubicacion', text: act.location, context: act.name });
+      fields.push({ type: 'notas', text: act.notes, context: act.name });
+      if (act.expenseId) gastosDeActividades.add(act.expenseId);
+    });
+  });
+
+  // Los gastos creados desde una actividad repiten su nombre
+  (it.expenses || [])
+    .filter(exp => !gastosDeActividades.has(exp.id))
+    .forEach(exp => fields.push({ type: 'gasto', text: exp.name }));
+
+  (it.checklist || []).forEach(item => fields.push({ type: 'checklist', text: item.label }));
+
+  return fields.filter(field => typeof field.text === 'string' && field.text.trim());
+}
+
+// ==========================================================================
+// Index
+// ==========================================================================
+
+/**
+ * Crea un índice vacío
+ * @returns {object} - {sync, update, remove, search, size}
+ */
+export function createSearchIndex() {
+  // palabra → Map(itinerarioId → Set(índice de campo))
+  const postings = new Map();
+  // itinerarioId → {source, fields, words}
+  const docs = new Map();
+
+  function addPosting(word, id, fieldIndex) {
+    if (!postings.has(word)) postings.set(word, new Map());
+    const byDoc = postings.get(word);
+    if (!byDoc.has(id)) byDoc.set(id, new Set());
+    byDoc.get(id).add(fieldIndex);
+  }
+
+  /**
+   * Indexa (o reindexa) un itinerario
+   * @param {object} it
+   */
+  function update(it) {
+    remove(it.id);
+
+    const fields = extractFields(it);
+    const words = new Set();
+    fields.forEach((field, fieldIndex) => {
+      tokenize(field.text).forEach(word => {
+        words.add(word);
+        addPosting(word, it.id, fieldIndex);
+      });
+    });
+
+    docs.set(it.id, { source: it, fields, words });
+  }
+
+  /**
+   * Quita un itinerario del índice
+   * @param {string} id
+   */
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+
+    doc.words.forEach(word => {
+      const byDoc = postings.get(word);
+      byDoc.delete(id);
+      if (byDoc.size === 0) postings.delete(word);
+    });
+    docs.delete(id);
+  }
+
+  /**
+   * Deja el índice igual que la lista: reindexa solo los itinerarios que
+   * han cambiado (otro objeto) y quita los que ya no están
+   * @param {Array<object>} itinerarios
+   */
+  function sync(itinerarios) {
+    const ids = new Set();
+    itinerarios.forEach(it => {
+      ids.add(it.id);
+      if (docs.get(it.id)?.source !== it) update(it);
+    });
+    [...docs.keys()].filter(id => !ids.has(id)).forEach(remove);
+  }
+
+  /**
+   * Busca itinerarios que contengan todas las palabras de la consulta
+   * @param {string} query
+   * @returns {Map<string, object>} - itinerarioId → {score, matches}
+   *   matches: [{type, label, text}] ordenadas de más a menos relevante
+   */
+  function search(query) {
+    const terms = [...new Set(tokenize(query))];
+    const results = new Map();
+    if (terms.length === 0) return results;
+
+    // Por cada término: itinerarioId → campos que lo contienen
+    const hitsPorTermino = terms.map(term => {
+      const hits = new Map();
+      postings.forEach((byDoc, word) => {
+        if (!word.startsWith(term)) return;
+        byDoc.forEach((fieldIndexes, id) => {
+          if (!hits.has(id)) hits.set(id, new Set());
+          fieldIndexes.forEach(i => hits.get(id).add(i));
+        });
+      });
+      return hits;
+    });
+
+    // Todos los términos tienen que aparecer en el itinerario
+    const [primero, ...resto] = hitsPorTermino;
+    primero.forEach((_, id) => {
+      if (!resto.every(hits => hits.has(id))) return;
+
+      const doc = docs.get(id);
+      const campos = new Map();
+      hitsPorTermino.forEach(hits => {
+        hits.get(id).forEach(i => campos.set(i, (campos.get(i) || 0) + 1));
+      });
+
+      let score = 0;
+      const matches = [...campos.entries()]
+        .map(([i, terminos]) => {
+          const field = doc.fields[i];
+          const weight = FIELD_WEIGHTS[field.type] * terminos;
+          score += weight;
+          return { weight, field };
+        })
+        .sort((a, b) => b.weight - a.weight)
+        .map(({ field }) => describeMatch(field, terms));
+
+      results.set(id, { score, matches });
+    });
+
+    return results;
+  }
+
+  return {
+    sync,
+    update,
+    remove,
+    search,
+    get size() {
+      return docs.size;
+    },
+  };
+}
+
+// ==========================================================================
+// Explanations
+// ==========================================================================
+
+/**
+ * Texto que explica por qué coincidió un campo, ej. "actividad: Kinkaku-ji"
+ * o "notas (Kinkaku-ji): …llegar pronto para evitar colas…"
+ */
+function describeMatch(field, terms) {
+  const label = field.context
+    ? `${FIELD_LABELS[field.type]} (${field.context})`
+    : FIELD_LABELS[field.type];
+  return { type: field.type, label, text: snippet(field.text, terms) };
+}
+
+/**
+ * Recorta textos largos alrededor de la primera coincidencia
+ */
+function snippet(text, terms) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= SNIPPET_LENGTH) return clean;
+
+  const normalized = normalizeText(clean);
+  const positions = terms
+    .map(term => normalized.search(new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u')))
+    .filter(pos => pos !== -1);
+  // normalizeText conserva la longitud salvo en espacios repetidos, que ya se han quitado
+  const match = positions.length ? Math.min(...positions) : 0;
+
+  let start = Math.max(0, match - Math.floor(SNIPPET_LENGTH / 3));
+  // Empezar en una palabra entera
+  if (start > 0) start = clean.indexOf(' ', start) + 1 || start;
+  const end = Math.min(clean.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${clean.slice(start, end).trim()}${end < clean.length ? '…' : ''}`;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
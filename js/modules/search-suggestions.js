@@ -0,0 +1,373 @@
+/**
+ * ==========================================================================
+ * wanderland - Search Suggestions
+ * ==========================================================================
+ *
+ * Autocompletado del buscador de la portada:
+ *   - rankSuggestions(): mezcla historial, destinos del catálogo y destinos
+ *     de los itinerarios guardados, y los ordena por parecido con lo
+ *     escrito (sin distinguir acentos ni mayúsculas)
+ *   - initSearchCombobox(): convierte un input en un combobox accesible
+ *     (patrón ARIA 1.2: role=combobox + listbox + aria-activedescendant)
+ *
+ * Coincidencias, de mejor a peor: el texto empieza por lo escrito, alguna
+ * palabra empieza por lo escrito, lo contiene, o contiene sus letras en
+ * orden (difuso: "brcl" encuentra "Barcelona").
+ */
+
+import { normalizeText, sanitize } from '../utils.js';
+
+const MAX_SUGGESTIONS = 8;
+
+// Desempate entre fuentes con la misma puntuación
+const SOURCE_BONUS = {
+  history: 3,
+  destination: 2,
+  itinerary: 1,
+};
+
+// ==========================================================================
+// Matching
+// ==========================================================================
+
+/**
+ * Normaliza carácter a carácter guardando de qué posición del original
+ * viene cada uno, para poder resaltar sobre el texto original
+ */
+function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  let offset = 0;
+  for (const char of text) {
+    const plain = normalizeText(char) || (/\s/.test(char) && !normalized.endsWith(' ') ? ' ' : '');
+    for (const c of plain) {
+      normalized += c;
+      map.push(offset);
+    }
+    offset += char.length;
+  }
+  map.push(offset);
+  return { normalized, map };
+}
+
+/**
+ * Compara un texto con lo escrito
+ * @param {string} text - Texto original (con acentos)
+ * @param {string} query - Lo escrito
+ * @returns {object|null} - {score, ranges: [[inicio, fin]]} sobre `text`, o null
+ */
+export function matchText(text, query) {
+  const term = normalizeText(query);
+  if (!term) return { score: 0, ranges: [] };
+
+  const { normalized, map } = normalizeWithMap(text);
+  const toRange = (start, length) => [[map[start], map[start + length - 1] + 1]];
+
+  if (normalized.startsWith(term)) {
+    return { score: 100 - Math.min(normalized.length - term.length, 20), ranges: toRange(0, term.length) };
+  }
+
+  const wordStart = findWordStart(normalized, term);
+  if (wordStart !== -1) return { score: 75, ranges: toRange(wordStart, term.length) };
+
+  const index = normalized.indexOf(term);
+  if (index !== -1) return { score: 55, ranges: toRange(index, term.length) };
+
+  return fuzzyMatch(normalized, term, map);
+}
+
+function findWordStart(normalized, term) {
+  const regex = /[\s,.\-/(]+/g;
+  let match;
+  while ((match = regex.exec(normalized)) !== null) {
+    const start = match.index + match[0].length;
+    if (normalized.startsWith(term, start)) return start;
+  }
+  return -1;
+}
+
+/**
+ * Letras de `term` en orden dentro de `normalized`. Penaliza los huecos y
+ * premia empezar en la primera letra.
+ */
+function fuzzyMatch(normalized, term, map) {
+  if (term.length < 2) return null;
+
+  const positions = [];
+  let from = 0;
+  for (const char of term) {
+    if (char === ' ') continue;
+    const found = normalized.indexOf(char, from);
+    if (found === -1) return null;
+    positions.push(found);
+    from = found + 1;
+  }
+
+  const span = positions[positions.length - 1] - positions[0] + 1;
+  const gaps = span - positions.length;
+  const score = 40 - Math.min(gaps * 2, 30) + (positions[0] === 0 ? 5 : 0);
+  if (score <= 10) return null;
+
+  // Posiciones seguidas se juntan en un mismo rango
+  const ranges = [];
+  positions.forEach(pos => {
+    const start = map[pos];
+    const end = (map[pos + 1] ?? map[pos] + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === start) last[1] = end;
+    else ranges.push([start, end]);
+  });
+  return { score, ranges };
+}
+
+// ==========================================================================
+// Ranking
+// ==========================================================================
+
+/**
+ * Mezcla y ordena las sugerencias
+ * @param {string} query
+ * @param {object} sources
+ * @param {Array<string>} sources.history - Búsquedas recientes (la más reciente primero)
+ * @param {Array<object>} sources.destinations - {label, sublabel, popular}
+ * @param {Array<string>} sources.itineraries - Destinos de los itinerarios
+ * @param {number} limit
+ * @returns {Array<object>} - {type, label, sublabel, value, ranges}
+ */
+export function rankSuggestions(query, { history = [], destinations = [], itineraries = [] }, limit = MAX_SUGGESTIONS) {
+  const candidates = [
+    ...history.map((label, i) => ({ type: 'history', label, value: label, recency: history.length - i })),
+    ...destinations.map(d => ({ type: 'destination', label: d.label, sublabel: d.sublabel, value: d.value ?? d.label, popular: d.popular })),
+    ...itineraries.map(label => ({ type: 'itinerary', label, sublabel: 'En tus itinerarios', value: label })),
+  ];
+
+  // Sin texto: solo el historial, en orden
+  if (!normalizeText(query)) {
+    return candidates
+      .filter(c => c.type === 'history')
+      .slice(0, limit)
+      .map(c => ({ ...c, ranges: [] }));
+  }
+
+  const seen = new Set();
+  return candidates
+    .map(candidate => {
+      const match = matchText(candidate.label, query);
+      if (!match) return null;
+      const score = match.score
+        + SOURCE_BONUS[candidate.type]
+        + (candidate.popular ? 2 : 0)
+        + (candidate.recency ? candidate.recency * 0.1 : 0);
+      return { ...candidate, score, ranges: match.ranges };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    // La misma sugerencia puede venir de varias fuentes: gana la mejor puntuada
+    .filter(candidate => {
+      const key = normalizeText(candidate.value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+/**
+ * HTML del texto con las partes coincidentes en <mark>
+ * @param {string} text
+ * @param {Array<Array<number>>} ranges
+ * @returns {string}
+ */
+export function highlightRanges(text, ranges) {
+  let html = '';
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    html += sanitize(text.slice(cursor, start));
+    html += `<mark>${sanitize(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return html + sanitize(text.slice(cursor));
+}
+
+// ==========================================================================
+// Combobox
+// ==========================================================================
+
+/**
+ * Convierte un input en combobox con lista de sugerencias
+ * @param {object} options
+ * @param {HTMLInputElement} options.input
+ * @param {HTMLElement} options.listbox - Lista vacía (<ul>)
+ * @param {HTMLElement} options.status - Región aria-live para anunciar resultados
+ * @param {Function} options.getSuggestions - (query) => Array
+ * @param {Function} options.onSelect - (suggestion) => void
+ * @param {Function} options.onRemove - (suggestion) => void; solo historial
+ * @returns {object} - {refresh, close}
+ */
+export function initSearchCombobox({ input, listbox, status, getSuggestions, onSelect, onRemove }) {
+  const listboxId = listbox.id;
+  let items = [];
+  let active = -1;
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listboxId);
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('autocomplete', 'off');
+  listbox.setAttribute('role', 'listbox');
+
+  function open() {
+    items = getSuggestions(input.value);
+    active = -1;
+    render();
+  }
+
+  function close() {
+    items = [];
+    active = -1;
+    render();
+  }
+
+  function render() {
+    const expanded = items.length > 0;
+    listbox.hidden = !expanded;
+    input.setAttribute('aria-expanded', String(expanded));
+
+    listbox.innerHTML = items.map((item, index) => `
+      <li role="option" id="${listboxId}-${index}" class="suggestion suggestion-${item.type}"
+          aria-selected="${index === active}" data-index="${index}">
+        <span class="suggestion-icon" aria-hidden="true">${ICONS[item.type]}</span>
+        <span class="suggestion-text">
+          <span class="suggestion-label">${highlightRanges(item.label, item.ranges)}</span>
+          ${item.sublabel ? `<span class="suggestion-sublabel">${sanitize(item.sublabel)}</span>` : ''}
+        </span>
+        ${item.type === 'history'
+          ? `<button type="button" class="suggestion-remove" tabindex="-1" data-remove="${index}"
+               title="Quitar del historial (Mayús+Supr)">×</button>`
+          : ''}
+      </li>
+    `).join('');
+
+    // El texto va como atributo, sin pasar por el HTML
+    listbox.querySelectorAll('[data-remove]').forEach(button => {
+      button.setAttribute('aria-label', `Quitar «${items[button.dataset.remove].label}» del historial`);
+    });
+
+    if (active >= 0) {
+      input.setAttribute('aria-activedescendant', `${listboxId}-${active}`);
+      listbox.children[active]?.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    if (status) {
+      status.textContent = expanded
+        ? `${items.length} sugerencia${items.length !== 1 ? 's' : ''}. Usa las flechas para elegir.`
+        : '';
+    }
+  }
+
+  function move(delta) {
+    if (items.length === 0) {
+      open();
+      if (items.length === 0) return;
+    }
+    active = (active + delta + items.length + 1) % (items.length + 1);
+    // El índice items.length equivale a "ninguna": se vuelve al texto escrito
+    if (active === items.length) active = -1;
+    render();
+  }
+
+  function select(index) {
+    const item = items[index];
+    if (!item) return;
+    input.value = item.value;
+    close();
+    onSelect(item);
+  }
+
+  function remove(index) {
+    const item = items[index];
+    if (!item || item.type !== 'history') return;
+    onRemove(item);
+    const previous = active;
+    items = getSuggestions(input.value);
+    active = Math.min(previous, items.length - 1);
+    render();
+    input.focus();
+  }
+
+  input.addEventListener('input', open);
+
+  input.addEventListener('click', () => {
+    if (listbox.hidden) open();
+  });
+
+  input.addEventListener('keydown', e => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        move(1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        move(-1);
+        break;
+      case 'Enter':
+        if (active >= 0) {
+          e.preventDefault();
+          select(active);
+        } else {
+          close();
+        }
+        break;
+      case 'Escape':
+        if (!listbox.hidden) {
+          e.preventDefault();
+          close();
+        }
+        break;
+      case 'Delete':
+        if (e.shiftKey && items[active]?.type === 'history') {
+          e.preventDefault();
+          remove(active);
+        }
+        break;
+      case 'Tab':
+        close();
+        break;
+    }
+  });
+
+  input.addEventListener('blur', close);
+
+  // mousedown en vez de click: así el input no pierde el foco antes
+  listbox.addEventListener('mousedown', e => {
+    e.preventDefault();
+    const removeButton = e.target.closest('[data-remove]');
+    if (removeButton) {
+      remove(Number(removeButton.dataset.remove));
+      return;
+    }
+    const option = e.target.closest('[role="option"]');
+    if (option) select(Number(option.dataset.index));
+  });
+
+  listbox.addEventListener('mousemove', e => {
+    const option = e.target.closest('[role="option"]');
+    const index = option ? Number(option.dataset.index) : -1;
+    if (index !== active && index >= 0) {
+      active = index;
+      render();
+    }
+  });
+
+  close();
+  return { refresh: open, close };
+}
+
+const ICONS = {
+  history: '<svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 2"/></svg>',
+  destination: '<svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><circle cx="12" cy="10" r="3"/><path d="M12 21.7C17.3 17 20 13 20 10a8 8 0 1 0-16 0c0 3 2.7 6.9 8 11.7z"/></svg>',
+  itinerary: '<svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"/></svg>',
+};
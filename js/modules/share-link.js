@@ -0,0 +1,358 @@
+/**
+ * ==========================================================================
+ * wanderland - Share Link
+ * ==========================================================================
+ *
+ * Enlaces autocontenidos para compartir un itinerario de solo lectura.
+ * El itinerario viaja comprimido en el fragmento de la URL (que no llega
+ * al servidor):
+ *
+ *   itinerario-detalle.html#s=<versión>.<codificación>.<crc32>.<datos>
+ *
+ *   - versión:      CONFIG.SHARE.VERSION
+ *   - codificación: 'd' (deflate-raw) o 'j' (JSON sin comprimir, si el
+ *                   navegador no tiene CompressionStream)
+ *   - crc32:        suma de control del JSON, en hexadecimal
+ *   - datos:        base64url
+ *
+ * Lo que llega en un enlace no es de fiar: al decodificar se reconstruye
+ * el itinerario campo a campo, descartando lo que no tenga la forma
+ * esperada.
+ */
+
+import { CONFIG } from '../config.js';
+import { ESTADOS, DEFAULT_BUDGET, buildItinerario, validateItinerario } from './itinerary-schema.js';
+import { parseDuration, isFullDayDuration, formatDuration } from './duration.js';
+import { isValidTimeZone } from './time-zone.js';
+import { isValidCoords } from './geo.js';
+import { MODOS_TRASLADO, cleanTravelSettings } from './travel.js';
+import { isValidDayWindow, isValidOpeningHours } from './auto-scheduler.js';
+
+const { VERSION, HASH_PARAM, MAX_TEXT_LENGTH, MAX_ITEMS, MAX_DECODED_BYTES } = CONFIG.SHARE;
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ID_REGEX = /^[a-z]+_[0-9a-z]+$/;
+// Caracteres de control (salvo salto de línea y tabulador)
+const CONTROL_CHARS_REGEX = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// ==========================================================================
+// Errors
+// ==========================================================================
+
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareLinkError';
+  }
+}
+
+// ==========================================================================
+// Encode
+// ==========================================================================
+
+/**
+ * Codifica un itinerario para el fragmento de la URL
+ * @param {object} itinerario
+ * @returns {Promise<string>} - Valor de `#s=...` (sin el prefijo)
+ */
+export async function encodeItinerario(itinerario) {
+  const json = JSON.stringify(toSharedShape(itinerario));
+  const bytes = new TextEncoder().encode(json);
+  const checksum = crc32(bytes).toString(16).padStart(8, '0');
+
+  const canCompress = typeof CompressionStream !== 'undefined';
+  const data = canCompress ? await transform(bytes, new CompressionStream('deflate-raw')) : bytes;
+
+  return [VERSION, canCompress ? 'd' : 'j', checksum, toBase64Url(data)].join('.');
+}
+
+/**
+ * Construye la URL completa para compartir
+ * @param {object} itinerario
+ * @param {string} detailUrl - URL de itinerario-detalle.html
+ * @returns {Promise<string>}
+ */
+export async function buildShareUrl(itinerario, detailUrl) {
+  const url = new URL(detailUrl, window.location.href);
+  url.search = '';
+  url.hash = `${HASH_PARAM}=${await encodeItinerario(itinerario)}`;
+  return url.toString();
+}
+
+// ==========================================================================
+// Decode
+// ==========================================================================
+
+/**
+ * Extrae el valor compartido de un fragmento de URL
+ * @param {string} hash - location.hash
+ * @returns {string|null}
+ */
+export function getSharedPayload(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  return params.get(HASH_PARAM);
+}
+
+/**
+ * Decodifica y sanea un itinerario compartido
+ * @param {string} payload - Valor de `#s=...`
+ * @returns {Promise<object>} - Itinerario en la versión actual del esquema
+ * @throws {ShareLinkError}
+ */
+export async function decodeItinerario(payload) {
+  const [version, encoding, checksum, data] = String(payload).split('.');
+
+  if (!/^\d+$/.test(version || '') || !data) {
+    throw new ShareLinkError(CONFIG.MESSAGES.ERRORS.SHARE_INVALID);
+  }
+  if (parseInt(version, 10) > VERSION) {
+    throw new ShareLinkError(CONFIG.MESSAGES.ERRORS.SHARE_NEWER_VERSION);
+  }
+
+  let json;
+  try {
+    let bytes = fromBase64Url(data);
+    if (encoding === 'd') {
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'), MAX_DECODED_BYTES);
+    } else if (encoding !== 'j') {
+      throw new Error(`Codificación desconocida: ${encoding}`);
+    }
+    if (crc32(bytes).toString(16).padStart(8, '0') !== checksum) {
+      throw new Error('La suma de control no coincide');
+    }
+    json = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    console.warn('⚠️ Enlace compartido inválido:', error);
+    throw new ShareLinkError(CONFIG.MESSAGES.ERRORS.SHARE_INVALID);
+  }
+
+  const itinerario = sanitizeShared(json);
+  const { valid, errors } = validateItinerario(itinerario);
+  if (!valid) {
+    console.warn('⚠️ Itinerario compartido inválido:', errors);
+    throw new ShareLinkError(CONFIG.MESSAGES.ERRORS.SHARE_INVALID);
+  }
+  return itinerario;
+}
+
+// ==========================================================================
+// Shape
+// ==========================================================================
+
+/**
+ * Solo viaja lo que ve quien recibe el enlace
+ */
+function toSharedShape(it) {
+  return {
+    id: it.id,
+    nombre: it.nombre,
+    destino: it.destino,
+    fechaInicio: it.fechaInicio,
+    fechaFin: it.fechaFin,
+    estado: it.estado,
+    budget: it.budget,
+    notas: it.notas,
+    timeZone: it.timeZone,
+    transporte: it.transporte,
+    jornada: it.jornada,
+    days: it.days.map(day => ({
+      date: day.date,
+      timeZone: day.timeZone,
+      activities: day.activities.map(act => ({
+        id: act.id,
+        name: act.name,
+        location: act.location,
+        lat: act.lat,
+        lng: act.lng,
+        time: act.time,
+        duration: act.duration,
+        fixedTime: act.fixedTime,
+        horario: act.horario,
+        cost: act.cost,
+        notes: act.notes,
+        type: act.type,
+        travelMode: act.travelMode,
+        expenseId: act.expenseId,
+      })),
+    })),
+    expenses: it.expenses.map(exp => ({
+      id: exp.id,
+      name: exp.name,
+      amount: exp.amount,
+      category: exp.category,
+      date: exp.date,
+    })),
+    checklist: it.checklist.map(item => ({ label: item.label, checked: item.checked })),
+  };
+}
+
+/**
+ * Reconstruye el itinerario a partir de datos no confiables: solo se copian
+ * los campos conocidos, con el tipo y formato esperados
+ */
+function sanitizeShared(raw) {
+  const obj = isPlainObject(raw) ? raw : {};
+  const fechaInicio = cleanDate(obj.fechaInicio);
+  const fechaFin = cleanDate(obj.fechaFin);
+
+  const expenses = cleanList(obj.expenses, exp => ({
+    id: cleanId(exp.id, 'exp_'),
+    name: cleanText(exp.name),
+    amount: cleanNumber(exp.amount),
+    category: cleanText(exp.category, 16),
+    date: cleanDate(exp.date),
+  }));
+  const expenseIds = new Set(expenses.map(exp => exp.id));
+
+  return buildItinerario({
+    id: cleanId(obj.id, 'it_'),
+    nombre: cleanText(obj.nombre),
+    destino: cleanText(obj.destino),
+    fechaInicio,
+    fechaFin: fechaFin && fechaInicio && fechaFin < fechaInicio ? fechaInicio : fechaFin,
+    estado: ESTADOS.includes(obj.estado) ? obj.estado : 'planificando',
+    budget: cleanNumber(obj.budget) || DEFAULT_BUDGET,
+    notas: cleanText(obj.notas),
+    // Una zona desconocida se descarta y la migración pone la del navegador
+    timeZone: cleanTimeZone(obj.timeZone),
+    transporte: cleanTravelSettings(obj.transporte),
+    jornada: isValidDayWindow(obj.jornada) ? { inicio: obj.jornada.inicio, fin: obj.jornada.fin } : null,
+    days: cleanList(obj.days, day => ({
+      date: cleanDate(day.date),
+      timeZone: cleanTimeZone(day.timeZone),
+      activities: cleanList(day.activities, act => ({
+        id: cleanId(act.id, 'act_'),
+        name: cleanText(act.name),
+        location: cleanText(act.location),
+        ...cleanCoords(act.lat, act.lng),
+        // Sin una hora reconocible queda por planificar
+        time: TIME_REGEX.test(act.time) ? act.time : '',
+        duration: cleanDuration(act.duration),
+        fixedTime: act.fixedTime === true,
+        horario: isValidOpeningHours(act.horario) ? { abre: act.horario.abre, cierra: act.horario.cierra } : null,
+        cost: cleanNumber(act.cost),
+        notes: cleanText(act.notes),
+        type: typeof act.type === 'string' && /^[a-z]{1,20}$/.test(act.type) ? act.type : 'activity',
+        travelMode: MODOS_TRASLADO.includes(act.travelMode) ? act.travelMode : null,
+        expenseId: expenseIds.has(act.expenseId) ? act.expenseId : null,
+      })),
+    })).filter(day => day.date),
+    expenses,
+    checklist: cleanList(obj.checklist, item => ({
+      label: cleanText(item.label),
+      checked: item.checked === true,
+    })),
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cleanList(value, mapItem) {
+  if (!Array.isArray(value)) return [];
+  return value.slice(0, MAX_ITEMS).filter(isPlainObject).map(mapItem);
+}
+
+function cleanText(value, maxLength = MAX_TEXT_LENGTH) {
+  if (typeof value !== 'string') return '';
+  return value.replace(CONTROL_CHARS_REGEX, '').trim().slice(0, maxLength);
+}
+
+function cleanCoords(lat, lng) {
+  return isValidCoords(lat, lng) ? { lat, lng } : { lat: null, lng: null };
+}
+
+function cleanTimeZone(value) {
+  return isValidTimeZone(value) ? value : null;
+}
+
+function cleanNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : 0;
+}
+
+function cleanDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_REGEX.test(value)) return null;
+  return isNaN(new Date(value + 'T00:00:00').getTime()) ? null : value;
+}
+
+function cleanId(value, prefix) {
+  return typeof value === 'string' && ID_REGEX.test(value) && value.startsWith(prefix)
+    ? value
+    : prefix + Date.now().toString(16) + Math.random().toString(16).slice(2, 6);
+}
+
+function cleanDuration(value) {
+  if (isFullDayDuration(value)) return 'Día completo';
+  const minutos = parseDuration(value);
+  return minutos ? formatDuration(minutos) : '1h';
+}
+
+// ==========================================================================
+// Encoding helpers
+// ==========================================================================
+
+/**
+ * Pasa los bytes por un stream de (des)compresión. Con `maxBytes` deja de
+ * leer en cuanto la salida lo supera: unos pocos KB de deflate pueden
+ * descomprimirse en cientos de MB
+ */
+async function transform(bytes, stream, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+  const chunks = [];
+  let total = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new Error(`La salida supera ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const result = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  // Por bloques para no superar el límite de argumentos de fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,399 @@
+/**
+ * ==========================================================================
+ * wanderland - Sync Outbox
+ * ==========================================================================
+ *
+ * Cola persistente de cambios pendientes de enviar al servidor
+ * (CONFIG.API.ENDPOINTS.ITINERARIES). Los cambios se guardan primero en
+ * local como siempre; aquí solo se anota qué hay que replicar.
+ *
+ * Cada entrada lleva una clave de idempotencia (cabecera Idempotency-Key)
+ * para que reenviarla tras un corte no duplique nada, y su propio estado de
+ * reintentos:
+ *
+ *   - pending:  por enviar (o esperando `nextAttemptAt` tras un fallo)
+ *   - conflict: el servidor tiene otra versión (409/412); espera a que el
+ *               usuario elija con resolveConflict()
+ *   - failed:   el servidor la rechazó (4xx); solo se reintenta a mano
+ *
+ * Las entradas de un mismo itinerario se envían en orden: si una no sale,
+ * las siguientes esperan. Cambios seguidos que aún no se han intentado
+ * enviar se fusionan en uno (crear + editar = crear con lo último).
+ *
+ * La cola vive en localStorage, compartida por todas las pestañas.
+ */
+
+import { CONFIG, isFeatureEnabled } from '../config.js';
+import { getStorage, setStorage, isOnline } from '../utils.js';
+import { post, put, del, HttpError, NetworkError, RequestAbortedError } from '../api/client.js';
+import { putItinerario, deleteItinerario } from './itinerary-store.js';
+
+const STORAGE_KEY = CONFIG.STORAGE_KEYS.SYNC_OUTBOX;
+const ENDPOINT = CONFIG.API.ENDPOINTS.ITINERARIES;
+const CONFLICT_STATUSES = [409, 412];
+
+const listeners = new Set();
+let flushing = false;
+let flushRequested = false;
+let retryTimer = null;
+
+// ==========================================================================
+// Queue
+// ==========================================================================
+
+/**
+ * Anota un cambio ya guardado en local. Misma forma que recordChange()
+ * del historial de deshacer.
+ * @param {object} change
+ * @param {string} change.itinerarioId
+ * @param {object|null} change.before - Versión anterior (null si se creó)
+ * @param {object|null} change.after - Versión resultante (null si se eliminó)
+ */
+export function queueChange({ itinerarioId, before, after }) {
+  if (!isFeatureEnabled('ENABLE_CLOUD_SYNC')) return;
+  if (!before && !after) return;
+
+  const type = !before ? 'create' : !after ? 'delete' : 'update';
+  const data = readData();
+  const entry = {
+    key: createKey(),
+    itinerarioId,
+    type,
+    payload: after ? structuredClone(after) : null,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: 0,
+    createdAt: Date.now(),
+  };
+
+  data.entries = coalesce(data.entries, entry);
+  writeData(data);
+  flushOutbox();
+}
+
+/**
+ * Fusiona el cambio con la última entrada del mismo itinerario si esta aún
+ * no se ha intentado enviar. Si ya se intentó (o se está enviando), puede
+ * que el servidor la recibiera: se respeta su clave y el cambio nuevo va
+ * detrás.
+ */
+function coalesce(entries, entry) {
+  const index = entries.findLastIndex(e => e.itinerarioId === entry.itinerarioId);
+  const last = entries[index];
+  if (!last || last.attempts > 0 || last.status !== 'pending') return [...entries, entry];
+
+  const rest = entries.filter((_, i) => i !== index);
+  const merged = { ...last, payload: entry.payload };
+
+  if (last.type === 'create' && entry.type === 'delete') return rest;
+  if (last.type === 'create') return [...rest, merged];
+  if (entry.type === 'delete') return [...rest, { ...merged, type: 'delete' }];
+  // delete + create (p. ej. deshacer un borrado): en el servidor aún existe
+  return [...rest, { ...merged, type: 'update' }];
+}
+
+// ==========================================================================
+// Read
+// ==========================================================================
+
+/**
+ * Entradas de la cola, en orden de envío
+ * @returns {Array<object>}
+ */
+export function getOutbox() {
+  return readData().entries;
+}
+
+/**
+ * Resumen para el indicador
+ * @returns {object} - {pending, conflicts, failed}
+ */
+export function getOutboxSummary() {
+  const entries = getOutbox();
+  return {
+    pending: entries.filter(e => e.status === 'pending').length,
+    conflicts: entries.filter(e => e.status === 'conflict').length,
+    failed: entries.filter(e => e.status === 'failed').length,
+  };
+}
+
+/**
+ * Avisa cuando cambia la cola (en esta pestaña o en otra)
+ * @param {Function} listener - () => void
+ * @returns {Function} - Para dejar de escuchar
+ */
+export function onOutboxChange(listener) {
+  if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('storage', handleStorage);
+  };
+}
+
+function handleStorage(e) {
+  if (e.key === STORAGE_KEY) notify();
+}
+
+function notify() {
+  listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('❌ Error en listener de la cola de sincronización:', error);
+    }
+  });
+}
+
+// ==========================================================================
+// Flush
+// ==========================================================================
+
+/**
+ * Envía lo pendiente al servidor
+ * @param {object} options
+ * @param {boolean} options.force - Ignorar las esperas entre reintentos y
+ *   volver a intentar las entradas rechazadas
+ * @returns {Promise<object>} - Resumen tras el envío
+ */
+export async function flushOutbox({ force = false } = {}) {
+  if (!isFeatureEnabled('ENABLE_CLOUD_SYNC') || !isOnline()) return getOutboxSummary();
+  if (flushing) {
+    // Lo que se anote mientras tanto sale en otra pasada
+    flushRequested = true;
+    return getOutboxSummary();
+  }
+
+  flushing = true;
+  clearTimeout(retryTimer);
+
+  if (force) {
+    updateEntries(e => e.status !== 'conflict', e => ({ ...e, status: 'pending', nextAttemptAt: 0 }));
+  }
+
+  let stopped = false;
+  try {
+    // Itinerarios con una entrada atascada: sus siguientes cambios esperan
+    const blocked = new Set();
+
+    for (const entry of getOutbox()) {
+      if (blocked.has(entry.itinerarioId)) continue;
+      if (entry.status !== 'pending' || entry.nextAttemptAt > Date.now()) {
+        blocked.add(entry.itinerarioId);
+        continue;
+      }
+
+      // Contar el intento antes de enviar: así ya no se fusiona con cambios nuevos
+      updateEntry(entry.key, e => ({ ...e, attempts: e.attempts + 1 }));
+
+      try {
+        const saved = await sendEntry(entry);
+        acknowledge(entry, saved);
+      } catch (error) {
+        blocked.add(entry.itinerarioId);
+        if (handleSendError(entry, error) === 'stop') {
+          stopped = true;
+          break;
+        }
+      }
+    }
+  } finally {
+    flushing = false;
+    scheduleRetry(stopped ? CONFIG.SYNC.OUTBOX_RETRY_DELAY : 0);
+    notify();
+  }
+
+  if (flushRequested) {
+    flushRequested = false;
+    return flushOutbox();
+  }
+
+  return getOutboxSummary();
+}
+
+async function sendEntry(entry) {
+  const path = `${ENDPOINT}/${encodeURIComponent(entry.itinerarioId)}`;
+  const headers = { 'Idempotency-Key': entry.key };
+  const syncedRev = readData().revs[entry.itinerarioId];
+  if (entry.type !== 'create' && syncedRev != null) headers['If-Match'] = String(syncedRev);
+
+  switch (entry.type) {
+    case 'create':
+      return post(ENDPOINT, entry.payload, { headers });
+    case 'update':
+      return put(path, entry.payload, { headers });
+    case 'delete':
+      try {
+        return await del(path, { headers });
+      } catch (error) {
+        // Ya no estaba: es lo que queríamos
+        if (error instanceof HttpError && error.status === 404) return null;
+        throw error;
+      }
+  }
+  throw new Error(`Tipo de cambio desconocido: ${entry.type}`);
+}
+
+function acknowledge(entry, saved) {
+  const data = readData();
+  data.entries = data.entries.filter(e => e.key !== entry.key);
+  if (entry.type === 'delete') {
+    delete data.revs[entry.itinerarioId];
+  } else {
+    data.revs[entry.itinerarioId] = saved?.rev ?? entry.payload.rev;
+  }
+  writeData(data);
+}
+
+/**
+ * Guarda el estado de la entrada tras un fallo
+ * @returns {string} - 'stop' si no tiene sentido seguir con el resto
+ */
+function handleSendError(entry, error) {
+  if (error instanceof HttpError && CONFLICT_STATUSES.includes(error.status)) {
+    const remote = error.body?.itinerario ?? null;
+    updateEntry(entry.key, e => ({ ...e, status: 'conflict', remote, lastError: error.message }));
+    return 'continue';
+  }
+
+  if (error instanceof HttpError && !error.retryable) {
+    console.warn('⚠️ El servidor rechazó un cambio:', error.status, error.body);
+    updateEntry(entry.key, e => ({ ...e, status: 'failed', lastError: error.message }));
+    return 'continue';
+  }
+
+  if (error instanceof RequestAbortedError) return 'stop';
+
+  const delay = Math.min(
+    CONFIG.SYNC.OUTBOX_RETRY_DELAY * 2 ** entry.attempts,
+    CONFIG.SYNC.OUTBOX_MAX_RETRY_DELAY
+  );
+  updateEntry(entry.key, e => ({
+    ...e,
+    lastError: error.message,
+    nextAttemptAt: Date.now() + delay,
+  }));
+
+  // Sin red no hace falta probar con el resto
+  return error instanceof NetworkError ? 'stop' : 'continue';
+}
+
+/**
+ * Programa el siguiente envío para la entrada que antes toque reintentar.
+ * Solo cuenta la primera entrada de cada itinerario: las demás esperan a esa.
+ * @param {number} minDelay - Espera mínima (tras cortar el envío por falta de red)
+ */
+function scheduleRetry(minDelay) {
+  const heads = new Map();
+  getOutbox().forEach(e => {
+    if (!heads.has(e.itinerarioId)) heads.set(e.itinerarioId, e);
+  });
+
+  const next = [...heads.values()]
+    .filter(e => e.status === 'pending')
+    .reduce((min, e) => Math.min(min, e.nextAttemptAt), Infinity);
+  if (next === Infinity) return;
+
+  retryTimer = setTimeout(() => flushOutbox(), Math.max(next - Date.now(), minDelay));
+}
+
+// ==========================================================================
+// Conflicts
+// ==========================================================================
+
+/**
+ * Resuelve un conflicto
+ * @param {string} key - Clave de la entrada en conflicto
+ * @param {string} choice - 'local' (mantener mis cambios) | 'remote' (usar la del servidor)
+ * @returns {Promise<object|null>} - Itinerario tal como queda en local
+ *   (null si quedó eliminado o no cambia)
+ */
+export async function resolveConflict(key, choice) {
+  const data = readData();
+  const entry = data.entries.find(e => e.key === key);
+  if (!entry || entry.status !== 'conflict') return null;
+
+  const { itinerarioId, remote } = entry;
+
+  if (choice === 'local') {
+    if (remote) {
+      data.revs[itinerarioId] = remote.rev;
+    } else {
+      delete data.revs[itinerarioId];
+    }
+
+    if (!remote && entry.type === 'delete') {
+      // Los dos lo queríamos eliminado
+      data.entries = data.entries.filter(e => e.key !== key);
+    } else {
+      // Reenviar sobre la versión del servidor, con clave nueva: la anterior
+      // ya tiene respuesta (el conflicto) en el servidor
+      const { remote: _, ...rest } = entry;
+      const retried = {
+        ...rest,
+        key: createKey(),
+        type: entry.type === 'delete' ? 'delete' : remote ? 'update' : 'create',
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+      };
+      data.entries = data.entries.map(e => (e.key === key ? retried : e));
+    }
+    writeData(data);
+    flushOutbox();
+    return null;
+  }
+
+  // 'remote': descartar este cambio y los posteriores del mismo itinerario
+  const index = data.entries.indexOf(entry);
+  data.entries = data.entries.filter((e, i) => i < index || e.itinerarioId !== itinerarioId);
+  if (remote) {
+    data.revs[itinerarioId] = remote.rev;
+  } else {
+    delete data.revs[itinerarioId];
+  }
+  writeData(data);
+
+  if (!remote) {
+    await deleteItinerario(itinerarioId);
+    return null;
+  }
+  return putItinerario(remote);
+}
+
+// ==========================================================================
+// Storage
+// ==========================================================================
+
+// { entries: Entry[], revs: { [itinerarioId]: rev confirmada por el servidor } }
+function readData() {
+  const data = getStorage(STORAGE_KEY, null);
+  return {
+    entries: Array.isArray(data?.entries) ? data.entries : [],
+    revs: data?.revs && typeof data.revs === 'object' ? data.revs : {},
+  };
+}
+
+function writeData(data) {
+  if (!setStorage(STORAGE_KEY, data)) {
+    console.warn('⚠️ No se pudo guardar la cola de sincronización');
+  }
+  notify();
+}
+
+function updateEntry(key, update) {
+  updateEntries(e => e.key === key, update);
+}
+
+function updateEntries(predicate, update) {
+  const data = readData();
+  data.entries = data.entries.map(e => (predicate(e) ? update(e) : e));
+  writeData(data);
+}
+
+function createKey() {
+  return globalThis.crypto?.randomUUID?.()
+    ?? `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
@@ -0,0 +1,202 @@
+/**
+ * ==========================================================================
+ * wanderland - Sync Status
+ * ==========================================================================
+ *
+ * Interfaz de la cola de sincronización (sync-outbox.js):
+ *   - Indicador flotante con los cambios pendientes de enviar
+ *   - Diálogo para resolver conflictos: cuando el servidor tiene otra
+ *     versión, el usuario elige entre la suya y la del servidor
+ *
+ * El diálogo usa las clases .modal-backdrop / .modal de cada página.
+ */
+
+import { isFeatureEnabled } from '../config.js';
+import { sanitize, getRelativeTime } from '../utils.js';
+import { getBannerContainer } from './offline.js';
+import {
+  getOutbox,
+  getOutboxSummary,
+  onOutboxChange,
+  flushOutbox,
+  resolveConflict
+} from './sync-outbox.js';
+
+let indicator = null;
+let dialog = null;
+let onResolvedCallback = null;
+
+// Conflictos que el usuario dejó para más tarde en esta página
+const postponed = new Set();
+
+// ==========================================================================
+// Init
+// ==========================================================================
+
+/**
+ * Muestra el indicador y envía lo pendiente al recuperar la conexión
+ * @param {object} options
+ * @param {Function} options.onResolved - (itinerarioId) => void; se llama
+ *   cuando un conflicto cambió los datos locales, para recargarlos
+ */
+export function initSyncStatus({ onResolved } = {}) {
+  if (!isFeatureEnabled('ENABLE_CLOUD_SYNC')) return;
+
+  onResolvedCallback = onResolved;
+  onOutboxChange(render);
+  window.addEventListener('online', () => flushOutbox());
+
+  render();
+  flushOutbox();
+}
+
+// ==========================================================================
+// Indicator
+// ==========================================================================
+
+function render() {
+  const { pending, conflicts, failed } = getOutboxSummary();
+  const el = getIndicator();
+
+  el.hidden = pending + conflicts + failed === 0;
+  el.classList.toggle('has-problem', conflicts + failed > 0);
+
+  if (conflicts > 0) {
+    el.textContent = conflicts === 1 ? '1 conflicto por resolver' : `${conflicts} conflictos por resolver`;
+  } else if (failed > 0) {
+    el.textContent = failed === 1 ? '1 cambio rechazado · Reintentar' : `${failed} cambios rechazados · Reintentar`;
+  } else {
+    el.textContent = pending === 1 ? '1 cambio sin sincronizar' : `${pending} cambios sin sincronizar`;
+  }
+
+  // Abrir el diálogo en cuanto aparezca un conflicto nuevo
+  const conflict = getNextConflict();
+  if (conflict && !postponed.has(conflict.key) && !isDialogOpen()) {
+    openConflictDialog(conflict);
+  }
+}
+
+function getIndicator() {
+  if (indicator) return indicator;
+
+  indicator = document.createElement('button');
+  indicator.type = 'button';
+  indicator.className = 'sync-indicator';
+  indicator.setAttribute('aria-live', 'polite');
+  indicator.hidden = true;
+  indicator.addEventListener('click', () => {
+    const conflict = getNextConflict(true);
+    if (conflict) {
+      postponed.delete(conflict.key);
+      openConflictDialog(conflict);
+    } else {
+      flushOutbox({ force: true });
+    }
+  });
+  getBannerContainer().appendChild(indicator);
+  return indicator;
+}
+
+function getNextConflict(includePostponed = false) {
+  return getOutbox().find(e => e.status === 'conflict' && (includePostponed || !postponed.has(e.key)));
+}
+
+// ==========================================================================
+// Conflict dialog
+// ==========================================================================
+
+function openConflictDialog(entry) {
+  const el = getDialog();
+  el.dataset.key = entry.key;
+
+  const local = entry.payload;
+  const remote = entry.remote;
+  const nombre = local?.nombre || remote?.nombre || 'Este itinerario';
+
+  el.querySelector('.sync-conflict-text').innerHTML = remote
+    ? `«${sanitize(nombre)}» se modificó en otro dispositivo mientras tenías cambios sin enviar.`
+    : `«${sanitize(nombre)}» se eliminó en otro dispositivo mientras tenías cambios sin enviar.`;
+
+  el.querySelector('.sync-conflict-versions').innerHTML = `
+    <li><strong>Tu versión:</strong> ${describeVersion(local, entry.type)}</li>
+    <li><strong>Servidor:</strong> ${describeVersion(remote)}</li>
+  `;
+
+  el.querySelector('[data-choice="remote"]').textContent = remote ? 'Usar la del servidor' : 'Eliminarlo aquí también';
+  el.querySelector('[data-choice="local"]').textContent = entry.type === 'delete' ? 'Eliminarlo igualmente' : 'Mantener la mía';
+
+  el.classList.add('active');
+  el.querySelector('[data-choice="local"]').focus();
+}
+
+function describeVersion(it, type) {
+  if (type === 'delete' || !it) return 'eliminado';
+  const actividades = (it.days || []).reduce((sum, day) => sum + day.activities.length, 0);
+  const cuando = it.actualizadoEn || it.creadoEn;
+  return [
+    sanitize(it.nombre),
+    `${actividades} actividad${actividades !== 1 ? 'es' : ''}`,
+    cuando ? `modificado ${getRelativeTime(cuando)}` : '',
+  ].filter(Boolean).join(' · ');
+}
+
+function getDialog() {
+  if (dialog) return dialog;
+
+  dialog = document.createElement('div');
+  dialog.className = 'modal-backdrop sync-conflict';
+  dialog.id = 'modal-sync-conflict';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', 'sync-conflict-title');
+  dialog.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h2 class="modal-title" id="sync-conflict-title">Conflicto al sincronizar</h2>
+      </div>
+      <div class="modal-body">
+        <p class="sync-conflict-text"></p>
+        <ul class="sync-conflict-versions"></ul>
+      </div>
+      <div class="modal-footer">
+        <button type="button" class="btn-secondary" data-choice="later">Decidir más tarde</button>
+        <button type="button" class="btn-secondary" data-choice="remote"></button>
+        <button type="button" class="btn-primary" data-choice="local"></button>
+      </div>
+    </div>
+  `;
+
+  dialog.addEventListener('click', e => {
+    const button = e.target.closest('[data-choice]');
+    if (button) handleChoice(button.dataset.choice);
+  });
+  dialog.addEventListener('keydown', e => {
+    if (e.key === 'Escape') handleChoice('later');
+  });
+
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+function isDialogOpen() {
+  return dialog?.classList.contains('active') ?? false;
+}
+
+async function handleChoice(choice) {
+  const key = dialog.dataset.key;
+  const entry = getOutbox().find(e => e.key === key);
+  dialog.classList.remove('active');
+
+  if (choice === 'later') {
+    postponed.add(key);
+  } else if (entry) {
+    try {
+      await resolveConflict(key, choice);
+      if (choice === 'remote') onResolvedCallback?.(entry.itinerarioId);
+    } catch (error) {
+      console.error('❌ Error resolviendo el conflicto:', error);
+    }
+  }
+
+  render();
+}
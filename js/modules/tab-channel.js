@@ -0,0 +1,81 @@
+/**
+ * ==========================================================================
+ * wanderland - Tab Channel
+ * ==========================================================================
+ *
+ * Avisa a las demás pestañas abiertas cuando cambian los itinerarios.
+ * Usa BroadcastChannel y, si no existe, eventos `storage` escribiendo un
+ * mensaje efímero en CONFIG.STORAGE_KEYS.SYNC_EVENT.
+ *
+ * Mensajes: { type: 'put' | 'delete' | 'reset', id?, rev?, source }
+ */
+
+import { CONFIG } from '../config.js';
+
+const TAB_ID = 'tab_' + Date.now().toString(16) + Math.random().toString(16).slice(2, 6);
+const listeners = new Set();
+
+let channel = null;
+let initialized = false;
+
+function init() {
+  if (initialized) return;
+  initialized = true;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CONFIG.SYNC.CHANNEL_NAME);
+    channel.addEventListener('message', e => dispatch(e.data));
+    return;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', e => {
+      if (e.key !== CONFIG.STORAGE_KEYS.SYNC_EVENT || !e.newValue) return;
+      try {
+        dispatch(JSON.parse(e.newValue));
+      } catch (error) {
+        console.warn('⚠️ Mensaje de sincronización ilegible:', error);
+      }
+    });
+  }
+}
+
+function dispatch(message) {
+  if (!message || message.source === TAB_ID) return;
+  listeners.forEach(listener => listener(message));
+}
+
+/**
+ * Notifica un cambio al resto de pestañas
+ * @param {object} message - {type, id, rev}
+ */
+export function publishChange(message) {
+  init();
+  const payload = { ...message, source: TAB_ID };
+
+  if (channel) {
+    channel.postMessage(payload);
+    return;
+  }
+
+  try {
+    // El nonce garantiza que el valor cambie y se dispare el evento
+    localStorage.setItem(CONFIG.STORAGE_KEYS.SYNC_EVENT, JSON.stringify({
+      ...payload,
+      nonce: Date.now() + Math.random(),
+    }));
+  } catch (error) {
+    console.warn('⚠️ No se pudo notificar el cambio a otras pestañas:', error);
+  }
+}
+
+/**
+ * Escucha los cambios hechos en otras pestañas
+ * @param {Function} listener - Recibe el mensaje
+ * @returns {Function} - Cancela la suscripción
+ */
+export function onRemoteChange(listener) {
+  init();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
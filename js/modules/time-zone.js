@@ -0,0 +1,173 @@
+/**
+ * ==========================================================================
+ * wanderland - Time Zone
+ * ==========================================================================
+ *
+ * Conversiones entre hora de pared ("2024-08-12 14:00" en una zona IANA)
+ * e instantes, usando solo Intl. Las fechas se manejan como texto ISO
+ * (YYYY-MM-DD, HH:MM) para no depender de la zona del navegador.
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Indica si el navegador reconoce la zona horaria
+ * @param {string} timeZone - Ej: 'Asia/Tokyo'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Zona horaria del navegador
+ * @returns {string}
+ */
+export function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Desfase de una zona respecto a UTC en un instante dado
+ * @param {number} instant - Milisegundos desde epoch
+ * @param {string} timeZone
+ * @returns {number} - Minutos (positivo al este de Greenwich)
+ */
+export function getTimeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(instant)).map(p => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instante que corresponde a una hora de pared en una zona
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {number} - Milisegundos desde epoch
+ */
+export function zonedTimeToInstant(date, time, timeZone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [h, min] = time.split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, h, min);
+
+  // Candidatos con el desfase de antes y de después de un posible cambio de hora.
+  // Si la hora se repite (se atrasa el reloj) vale la primera; si no existe
+  // (se adelanta) se aplica el desfase de antes y el resultado cae después del salto.
+  const antes = wall - getTimeZoneOffset(wall - 86400000, timeZone) * 60000;
+  const despues = wall - getTimeZoneOffset(wall + 86400000, timeZone) * 60000;
+  const existentes = [antes, despues].filter(instant =>
+    instant + getTimeZoneOffset(instant, timeZone) * 60000 === wall
+  );
+  return existentes.length ? Math.min(...existentes) : antes;
+}
+
+/**
+ * Hora de pared de un instante en una zona
+ * @param {number} instant - Milisegundos desde epoch
+ * @param {string} timeZone
+ * @returns {object} - {date: 'YYYY-MM-DD', time: 'HH:MM'}
+ */
+export function instantToZonedTime(instant, timeZone) {
+  const wall = new Date(instant + getTimeZoneOffset(instant, timeZone) * 60000);
+  const iso = wall.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+/**
+ * Pasa una hora de pared de una zona a otra
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} fromZone
+ * @param {string} toZone
+ * @returns {object} - {date, time} en la zona destino
+ */
+export function convertZonedTime(date, time, fromZone, toZone) {
+  return instantToZonedTime(zonedTimeToInstant(date, time, fromZone), toZone);
+}
+
+/**
+ * Desfase legible de una zona en un instante, ej. "UTC+9" o "UTC−3:30"
+ * @param {number} instant
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatTimeZoneOffset(instant, timeZone) {
+  const offset = getTimeZoneOffset(instant, timeZone);
+  if (offset === 0) return 'UTC';
+  const abs = Math.abs(offset);
+  const minutos = abs % 60 ? `:${String(abs % 60).padStart(2, '0')}` : '';
+  return `UTC${offset > 0 ? '+' : '−'}${Math.floor(abs / 60)}${minutos}`;
+}
+
+/**
+ * Zonas IANA que conoce el navegador (para sugerirlas en un datalist)
+ * @returns {Array<string>}
+ */
+export function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('timeZone');
+  return [...new Set([getBrowserTimeZone(), 'UTC'])];
+}
+
+// ==========================================================================
+// Fechas de calendario
+// ==========================================================================
+// Una fecha YYYY-MM-DD es un día del calendario, no un instante: se opera
+// siempre en UTC para que ni la zona del navegador ni los cambios de hora
+// la muevan.
+
+/**
+ * Suma días a una fecha
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDaysToDate(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Días de calendario de `from` a `to` (negativo si `to` es anterior)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Número de días de un viaje, ambos extremos incluidos (mínimo 1)
+ * @param {string} fechaInicio
+ * @param {string} fechaFin
+ * @returns {number}
+ */
+export function countTripDays(fechaInicio, fechaFin) {
+  const dias = daysBetween(fechaInicio, fechaFin);
+  return Number.isNaN(dias) ? 1 : Math.max(1, dias + 1);
+}
@@ -0,0 +1,160 @@
+/**
+ * ==========================================================================
+ * wanderland - Travel
+ * ==========================================================================
+ *
+ * Estimación de los traslados entre actividades consecutivas de un día a
+ * partir de sus coordenadas (ver geo.js): distancia en línea recta por un
+ * factor de rodeo y, para cada modo, tiempo y precio según su velocidad,
+ * espera y tarifa.
+ *
+ * - Los valores por defecto están en CONFIG.TRAVEL; cada itinerario puede
+ *   ajustarlos a su destino en `transporte` ({walk, transit, taxi}, solo
+ *   lo que cambie).
+ * - El modo elegido se guarda en la actividad de origen (`travelMode`):
+ *   es el traslado a la siguiente del día.
+ */
+
+import { CONFIG } from '../config.js';
+import { hasCoords, distanceMeters } from './geo.js';
+import { activityInterval, compareByTime, isUnscheduled } from './day-schedule.js';
+
+export const MODOS_TRASLADO = ['walk', 'transit', 'taxi'];
+
+const CAMPOS_MODO = ['speed', 'wait', 'base', 'perKm'];
+
+// ==========================================================================
+// Ajustes
+// ==========================================================================
+
+/**
+ * Deja solo los ajustes reconocibles (números no negativos; velocidad > 0)
+ * @param {*} raw - `transporte` tal y como venga
+ * @returns {object} - {walk?: {...}, transit?: {...}, taxi?: {...}}
+ */
+export function cleanTravelSettings(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const limpio = {};
+
+  MODOS_TRASLADO.forEach(modo => {
+    const valores = raw[modo];
+    if (!valores || typeof valores !== 'object') return;
+    const campos = {};
+    CAMPOS_MODO.forEach(campo => {
+      const valor = valores[campo];
+      const valido = Number.isFinite(valor) && (campo === 'speed' ? valor > 0 : valor >= 0);
+      if (valido) campos[campo] = valor;
+    });
+    if (Object.keys(campos).length) limpio[modo] = campos;
+  });
+
+  return limpio;
+}
+
+/**
+ * Ajustes efectivos de un itinerario: los suyos sobre los de CONFIG
+ * @param {object} itinerario
+ * @returns {object} - {detour, walkMaxKm, modes: {walk, transit, taxi}}
+ */
+export function getTravelSettings(itinerario) {
+  const propios = cleanTravelSettings(itinerario?.transporte);
+  const modes = {};
+  MODOS_TRASLADO.forEach(modo => {
+    modes[modo] = { ...CONFIG.TRAVEL.MODES[modo], ...propios[modo] };
+  });
+  return {
+    detour: CONFIG.TRAVEL.DETOUR_FACTOR,
+    walkMaxKm: CONFIG.TRAVEL.WALK_MAX_KM,
+    modes,
+  };
+}
+
+// ==========================================================================
+// Estimación
+// ==========================================================================
+
+/**
+ * Traslado entre dos actividades
+ * @param {object} from - {lat, lng}
+ * @param {object} to - {lat, lng}
+ * @param {object} settings - De getTravelSettings()
+ * @returns {object|null} - {km, modes: {walk: {minutes, cost}, ...}}; null
+ *   si a alguna le faltan coordenadas
+ */
+export function estimateLeg(from, to, settings) {
+  if (!hasCoords(from) || !hasCoords(to)) return null;
+
+  const km = distanceMeters(from, to) / 1000 * settings.detour;
+  const modes = {};
+  MODOS_TRASLADO.forEach(modo => {
+    const { speed, wait, base, perKm } = settings.modes[modo];
+    modes[modo] = {
+      minutes: Math.ceil(wait + km / speed * 60),
+      cost: Math.round((base + perKm * km) * 100) / 100,
+    };
+  });
+
+  return { km, modes };
+}
+
+/**
+ * Modo de un traslado: el elegido o, si no hay, a pie cuando está cerca y
+ * transporte público si no
+ * @param {object} act - Actividad de origen
+ * @param {object|null} estimate - De estimateLeg()
+ * @param {object} settings
+ * @returns {string}
+ */
+export function getTravelMode(act, estimate, settings) {
+  if (MODOS_TRASLADO.includes(act.travelMode)) return act.travelMode;
+  return estimate && estimate.km > settings.walkMaxKm ? 'transit' : 'walk';
+}
+
+/**
+ * Traslados de un día entre actividades consecutivas (en orden de hora)
+ * @param {object} day - {date, timeZone, activities}
+ * @param {object} settings - De getTravelSettings()
+ * @returns {object} - {legs, totals}
+ *   legs: [{from, to, mode, estimate, option, gap, unrealistic}]; `option`
+ *     es {minutes, cost} del modo elegido (null sin coordenadas) y `gap` los
+ *     minutos entre el fin de una y el inicio de la siguiente (null si no se
+ *     saben)
+ *   totals: {minutes, km, cost, sinEstimar}
+ */
+export function planDayTravel(day, settings) {
+  // Las que están por planificar todavía no tienen sitio en el recorrido
+  const acts = day.activities.filter(act => !isUnscheduled(act)).sort(compareByTime);
+  const totals = { minutes: 0, km: 0, cost: 0, sinEstimar: 0 };
+
+  const legs = acts.slice(0, -1).map((from, i) => {
+    const to = acts[i + 1];
+    const estimate = estimateLeg(from, to, settings);
+    const mode = getTravelMode(from, estimate, settings);
+    const option = estimate ? estimate.modes[mode] : null;
+
+    const origen = activityInterval(from, day);
+    const destino = activityInterval(to, day);
+    const gap = origen && destino ? destino.start - origen.end : null;
+
+    if (option) {
+      totals.minutes += option.minutes;
+      totals.km += estimate.km;
+      totals.cost += option.cost;
+    } else {
+      totals.sinEstimar++;
+    }
+
+    return {
+      from,
+      to,
+      mode,
+      estimate,
+      option,
+      gap,
+      unrealistic: Boolean(option && gap !== null && option.minutes > gap),
+    };
+  });
+
+  totals.cost = Math.round(totals.cost * 100) / 100;
+  return { legs, totals };
+}
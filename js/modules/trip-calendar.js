@@ -0,0 +1,172 @@
+/**
+ * ==========================================================================
+ * wanderland - Trip Calendar
+ * ==========================================================================
+ *
+ * Cálculos del calendario mensual de itinerarios y detección de viajes
+ * que se solapan. Sin DOM: la página decide cómo pintar las barras.
+ *
+ * Las semanas empiezan en lunes. Cada viaje se parte en un tramo por
+ * semana y los tramos se colocan en carriles para que no se pisen.
+ * Todas las fechas son ISO (YYYY-MM-DD) y se operan en UTC para que los
+ * cambios de hora no muevan días.
+ */
+
+const MS_DIA = 86400000;
+
+// ==========================================================================
+// Fechas
+// ==========================================================================
+
+function parseIso(fecha) {
+  return new Date(`${fecha}T00:00:00Z`);
+}
+
+function toIso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Suma días a una fecha ISO
+ * @param {string} fecha
+ * @param {number} dias
+ * @returns {string}
+ */
+export function addDays(fecha, dias) {
+  return toIso(new Date(parseIso(fecha).getTime() + dias * MS_DIA));
+}
+
+/**
+ * Mes desplazado `delta` meses
+ * @param {string} mes - YYYY-MM
+ * @param {number} delta
+ * @returns {string} - YYYY-MM
+ */
+export function addMonths(mes, delta) {
+  const [year, month] = mes.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + delta, 1));
+  return toIso(date).slice(0, 7);
+}
+
+/**
+ * Nombre del mes, ej. "Octubre de 2026"
+ * @param {string} mes - YYYY-MM
+ * @returns {string}
+ */
+export function formatMonth(mes) {
+  const texto = parseIso(`${mes}-01`).toLocaleDateString('es-ES', {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+/**
+ * Semanas (lunes a domingo) que cubren un mes
+ * @param {string} mes - YYYY-MM
+ * @returns {Array<Array<string>>} - Fechas ISO, 7 por semana
+ */
+export function buildMonthWeeks(mes) {
+  const primero = `${mes}-01`;
+  const siguiente = `${addMonths(mes, 1)}-01`;
+  // getUTCDay: 0 = domingo → lunes = 0
+  const desfase = (parseIso(primero).getUTCDay() + 6) % 7;
+
+  const semanas = [];
+  let inicio = addDays(primero, -desfase);
+  while (inicio < siguiente) {
+    semanas.push(Array.from({ length: 7 }, (_, i) => addDays(inicio, i)));
+    inicio = addDays(inicio, 7);
+  }
+  return semanas;
+}
+
+// ==========================================================================
+// Barras
+// ==========================================================================
+
+/**
+ * Tramos de los viajes que caen en una semana, con su carril
+ * @param {Array<string>} semana - 7 fechas ISO
+ * @param {Array<object>} itinerarios
+ * @returns {Array<object>} - {itinerario, columna (0-6), dias, carril, sigueAntes, sigueDespues}
+ */
+export function layoutWeek(semana, itinerarios) {
+  const lunes = semana[0];
+  const domingo = semana[6];
+
+  const tramos = itinerarios
+    .filter(it => it.fechaInicio <= domingo && it.fechaFin >= lunes)
+    .map(it => {
+      const desde = it.fechaInicio > lunes ? it.fechaInicio : lunes;
+      const hasta = it.fechaFin < domingo ? it.fechaFin : domingo;
+      return {
+        itinerario: it,
+        columna: semana.indexOf(desde),
+        dias: semana.indexOf(hasta) - semana.indexOf(desde) + 1,
+        sigueAntes: it.fechaInicio < lunes,
+        sigueDespues: it.fechaFin > domingo,
+      };
+    })
+    // Primero los que empiezan antes y, a igualdad, los más largos
+    .sort((a, b) => a.columna - b.columna || b.dias - a.dias);
+
+  // Cada carril guarda la última columna ocupada
+  const carriles = [];
+  tramos.forEach(tramo => {
+    let carril = carriles.findIndex(fin => fin < tramo.columna);
+    if (carril === -1) carril = carriles.length;
+    carriles[carril] = tramo.columna + tramo.dias - 1;
+    tramo.carril = carril;
+  });
+
+  return tramos;
+}
+
+// ==========================================================================
+// Solapes
+// ==========================================================================
+
+/**
+ * ¿Comparten al menos un día?
+ */
+export function rangesOverlap(a, b) {
+  return a.fechaInicio <= b.fechaFin && b.fechaInicio <= a.fechaFin;
+}
+
+/**
+ * Itinerarios que se solapan con unas fechas
+ * @param {object} rango - {fechaInicio, fechaFin}
+ * @param {Array<object>} itinerarios
+ * @param {string|null} excluirId - El propio itinerario al editarlo
+ * @returns {Array<object>}
+ */
+export function findOverlapping(rango, itinerarios, excluirId = null) {
+  if (!rango.fechaInicio || !rango.fechaFin) return [];
+  return itinerarios.filter(it => it.id !== excluirId && rangesOverlap(rango, it));
+}
+
+/**
+ * Todos los solapes entre itinerarios
+ * @param {Array<object>} itinerarios
+ * @returns {Map<string, Array<object>>} - id → itinerarios con los que se solapa
+ */
+export function findOverlaps(itinerarios) {
+  const solapes = new Map();
+  const ordenados = [...itinerarios].sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio));
+
+  // Ordenados por inicio: en cuanto uno empieza después del fin, los siguientes también
+  ordenados.forEach((a, i) => {
+    for (let j = i + 1; j < ordenados.length; j++) {
+      const b = ordenados[j];
+      if (b.fechaInicio > a.fechaFin) break;
+      if (!solapes.has(a.id)) solapes.set(a.id, []);
+      if (!solapes.has(b.id)) solapes.set(b.id, []);
+      solapes.get(a.id).push(b);
+      solapes.get(b.id).push(a);
+    }
+  });
+
+  return solapes;
+}
@@ -0,0 +1,193 @@
+/**
+ * ==========================================================================
+ * wanderland - Undo History
+ * ==========================================================================
+ *
+ * Historial de deshacer/rehacer compartido por la lista y el detalle.
+ * Cada cambio se registra como una operación reversible con la versión del
+ * itinerario antes y después de aplicarlo (null si no existía / se eliminó).
+ *
+ * Deshacer no sobrescribe a ciegas: vuelve a `before` fusionando sobre lo
+ * que haya guardado ahora, así no se pierden los cambios de otras pestañas.
+ *
+ * El historial se guarda en sessionStorage para sobrevivir a la navegación
+ * entre páginas de la misma pestaña, con un máximo de entradas por
+ * itinerario (CONFIG.UNDO.MAX_ENTRIES).
+ */
+
+import { CONFIG } from '../config.js';
+import { putItinerario, deleteItinerario } from './itinerary-store.js';
+import { saveItinerarioMerging } from './itinerary-merge.js';
+
+const STORAGE_KEY = CONFIG.STORAGE_KEYS.UNDO_HISTORY;
+
+// { [itinerarioId]: { undo: Entry[], redo: Entry[] } }
+let stacks = readStacks();
+
+// ==========================================================================
+// Record
+// ==========================================================================
+
+/**
+ * Registra un cambio ya guardado
+ * @param {object} change
+ * @param {string} change.itinerarioId
+ * @param {string} change.label - Descripción para el usuario
+ * @param {object|null} change.before - Versión anterior (null si se creó)
+ * @param {object|null} change.after - Versión resultante (null si se eliminó)
+ */
+export function recordChange({ itinerarioId, label, before, after }) {
+  stacks = readStacks();
+  const stack = getStack(itinerarioId);
+  stack.undo.push({
+    itinerarioId,
+    label,
+    before: before ? structuredClone(before) : null,
+    after: after ? structuredClone(after) : null,
+    at: Date.now(),
+  });
+  if (stack.undo.length > CONFIG.UNDO.MAX_ENTRIES) stack.undo.shift();
+  stack.redo = [];
+  persist();
+}
+
+// ==========================================================================
+// Undo / Redo
+// ==========================================================================
+
+/**
+ * Deshace el último cambio
+ * @param {string|null} itinerarioId - null para el último de cualquier itinerario
+ * @returns {Promise<object|null>} - {entry, itinerario} o null si no había nada.
+ *   `itinerario` es null si deshacer eliminó el itinerario.
+ * @throws {RevisionConflictError} - Si otra pestaña cambió lo mismo
+ */
+export async function undo(itinerarioId = null) {
+  const entry = findLatest('undo', itinerarioId);
+  if (!entry) return null;
+
+  const itinerario = await applyVersion(entry.before, entry.after);
+  const stack = getStack(entry.itinerarioId);
+  stack.undo.pop();
+  stack.redo.push({ ...entry, at: Date.now() });
+  persist();
+  return { entry, itinerario };
+}
+
+/**
+ * Rehace el último cambio deshecho
+ * @param {string|null} itinerarioId - null para el último de cualquier itinerario
+ * @returns {Promise<object|null>} - {entry, itinerario} o null si no había nada
+ * @throws {RevisionConflictError} - Si otra pestaña cambió lo mismo
+ */
+export async function redo(itinerarioId = null) {
+  const entry = findLatest('redo', itinerarioId);
+  if (!entry) return null;
+
+  const itinerario = await applyVersion(entry.after, entry.before);
+  const stack = getStack(entry.itinerarioId);
+  stack.redo.pop();
+  stack.undo.push({ ...entry, at: Date.now() });
+  persist();
+  return { entry, itinerario };
+}
+
+/**
+ * Lleva el itinerario a `target` asumiendo que ahora está en `reference`
+ */
+async function applyVersion(target, reference) {
+  if (target === null) {
+    await deleteItinerario(reference.id);
+    return null;
+  }
+  if (reference === null) {
+    return putItinerario(target);
+  }
+  const { saved } = await saveItinerarioMerging(target, reference);
+  return saved;
+}
+
+// ==========================================================================
+// Keyboard
+// ==========================================================================
+
+/**
+ * Enlaza Ctrl+Z / Ctrl+Shift+Z (y Ctrl+Y) a las acciones indicadas.
+ * Dentro de campos de texto se respeta el deshacer nativo del navegador.
+ * @param {object} handlers - {undo: Function, redo: Function}
+ */
+export function initUndoShortcuts({ undo: onUndo, redo: onRedo }) {
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      onUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      onRedo();
+    }
+  });
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function getStack(itinerarioId) {
+  if (!stacks[itinerarioId]) stacks[itinerarioId] = { undo: [], redo: [] };
+  return stacks[itinerarioId];
+}
+
+function findLatest(kind, itinerarioId) {
+  // Releer por si otra página de esta pestaña modificó el historial
+  stacks = readStacks();
+
+  const candidatos = itinerarioId
+    ? [stacks[itinerarioId]]
+    : Object.values(stacks);
+
+  return candidatos
+    .map(stack => stack?.[kind].at(-1))
+    .filter(Boolean)
+    .sort((a, b) => b.at - a.at)[0] || null;
+}
+
+function readStacks() {
+  try {
+    const raw = sessionStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+function persist() {
+  // Si no cabe, descartar las entradas más antiguas hasta que quepa
+  for (;;) {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(stacks));
+      return;
+    } catch (error) {
+      if (!dropOldest()) {
+        console.warn('⚠️ No se pudo guardar el historial de deshacer:', error);
+        return;
+      }
+    }
+  }
+}
+
+function dropOldest() {
+  let oldest = null;
+  Object.values(stacks).forEach(stack => {
+    ['undo', 'redo'].forEach(kind => {
+      const entry = stack[kind][0];
+      if (entry && (!oldest || entry.at < oldest.entry.at)) oldest = { stack, kind, entry };
+    });
+  });
+  if (!oldest) return false;
+  oldest.stack[oldest.kind].shift();
+  return true;
+}
@@ -0,0 +1,225 @@
+// ==========================================================================
+// destinos.js - Resultados de búsqueda de destinos
+// ==========================================================================
+
+import { CONFIG } from '../config.js';
+import { sanitize } from '../utils.js';
+import {
+  searchDestinations,
+  getPopularDestinations,
+  formatDestination,
+} from '../modules/destinations.js';
+import { initOfflineSupport } from '../modules/offline.js';
+
+// ==========================================================================
+// Constants
+// ==========================================================================
+const COLORES = ['blue', 'green', 'orange', 'purple', 'pink'];
+const PAGE_SIZE = CONFIG.PAGINATION.DEFAULT_PAGE_SIZE;
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function getColorPorSlug(slug) {
+  const hash = [...slug].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return COLORES[hash % COLORES.length];
+}
+
+/**
+ * Lee la búsqueda de la URL (?q=...&page=...)
+ */
+function leerParametros() {
+  const params = new URLSearchParams(window.location.search);
+  const query = (params.get('q') || '').trim().slice(0, CONFIG.SEARCH.MAX_LENGTH);
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  return { query, page };
+}
+
+function urlPagina(query, page) {
+  const params = new URLSearchParams({ q: query });
+  if (page > 1) params.set('page', page);
+  return `destinos.html?${params}`;
+}
+
+/**
+ * Enlace al formulario de nuevo itinerario con el destino ya puesto
+ */
+function urlCrearItinerario(destino) {
+  const params = new URLSearchParams({ nuevo: '1', destino });
+  return `itinerarios.html?${params}`;
+}
+
+// ==========================================================================
+// Render
+// ==========================================================================
+
+function render() {
+  const { query, page } = leerParametros();
+  document.getElementById('destinos-q').value = query;
+
+  if (query.length < CONFIG.SEARCH.MIN_LENGTH) {
+    document.title = 'Destinos - Wanderland';
+    renderVacio();
+    return;
+  }
+
+  document.title = `${query} - Destinos - Wanderland`;
+  const resultados = searchDestinations(query);
+  if (resultados.length === 0) {
+    renderSinResultados(query);
+    return;
+  }
+
+  const totalPaginas = Math.ceil(resultados.length / PAGE_SIZE);
+  const pagina = Math.min(page, totalPaginas);
+  const inicio = (pagina - 1) * PAGE_SIZE;
+  const visibles = resultados.slice(inicio, inicio + PAGE_SIZE);
+
+  document.getElementById('destinos-summary').textContent = totalPaginas > 1
+    ? `${inicio + 1}–${inicio + visibles.length} de ${resultados.length} destinos para «${query}»`
+    : `${resultados.length} destino${resultados.length !== 1 ? 's' : ''} para «${query}»`;
+
+  document.getElementById('destinos-empty').hidden = true;
+  renderGrid(visibles);
+  renderPaginacion(query, pagina, totalPaginas);
+}
+
+/**
+ * Sin búsqueda: invitar a buscar y enseñar los populares
+ */
+function renderVacio() {
+  mostrarEstado({
+    titulo: 'Busca tu próximo destino',
+    texto: CONFIG.MESSAGES.INFO.NO_QUERY,
+  });
+  document.getElementById('destinos-summary').textContent = 'Destinos populares';
+  renderGrid(getPopularDestinations());
+}
+
+/**
+ * Sin resultados: el catálogo es pequeño, así que se ofrece crear el
+ * itinerario igualmente con lo que se buscó
+ */
+function renderSinResultados(query) {
+  mostrarEstado({
+    titulo: CONFIG.MESSAGES.INFO.NO_RESULTS,
+    texto: `No tenemos «${query}» en el catálogo, pero puedes planificar el viaje igualmente.`,
+    accion: { label: `Crear itinerario para «${query}»`, href: urlCrearItinerario(query) },
+  });
+  document.getElementById('destinos-summary').textContent = '';
+  renderGrid([]);
+}
+
+function mostrarEstado({ titulo, texto, accion = null }) {
+  document.getElementById('destinos-empty').hidden = false;
+  document.getElementById('destinos-empty-title').textContent = titulo;
+  document.getElementById('destinos-empty-text').textContent = texto;
+
+  const boton = document.getElementById('destinos-empty-action');
+  boton.hidden = !accion;
+  if (accion) {
+    boton.textContent = accion.label;
+    boton.href = accion.href;
+  }
+
+  document.getElementById('destinos-pagination').hidden = true;
+}
+
+function renderGrid(destinos) {
+  document.getElementById('destinos-grid').innerHTML = destinos.map(destino => `
+    <article class="destino-card">
+      <div class="card-color-bar ${getColorPorSlug(destino.slug)}"></div>
+      <div class="destino-card-body">
+        <div>
+          <h2 class="destino-name">${sanitize(destino.name)}</h2>
+          <p class="destino-country">${sanitize(destino.country)} · ${sanitize(destino.region)}</p>
+        </div>
+        <p class="destino-description">${sanitize(destino.description)}</p>
+        <ul class="destino-tags">
+          ${(destino.tags || []).map(tag => `<li>${sanitize(tag)}</li>`).join('')}
+        </ul>
+        <a class="btn-primary destino-action" href="${sanitize(urlCrearItinerario(formatDestination(destino)))}">
+          <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" viewBox="0 0 24 24">
+            <path d="M12 5v14M5 12h14"/>
+          </svg>
+          Crear itinerario aquí
+        </a>
+      </div>
+    </article>
+  `).join('');
+}
+
+function renderPaginacion(query, pagina, totalPaginas) {
+  const nav = document.getElementById('destinos-pagination');
+  nav.hidden = totalPaginas <= 1;
+  if (totalPaginas <= 1) return;
+
+  const enlace = (page, label, attrs = '') =>
+    `<a class="pagination-link" href="${sanitize(urlPagina(query, page))}" ${attrs}>${label}</a>`;
+
+  const paginas = Array.from({ length: totalPaginas }, (_, i) => i + 1)
+    .map(page => page === pagina
+      ? `<span class="pagination-link active" aria-current="page">${page}</span>`
+      : enlace(page, page, `aria-label="Página ${page}"`))
+    .join('');
+
+  nav.innerHTML = `
+    ${pagina > 1 ? enlace(pagina - 1, 'Anterior', 'rel="prev"') : ''}
+    ${paginas}
+    ${pagina < totalPaginas ? enlace(pagina + 1, 'Siguiente', 'rel="next"') : ''}
+  `;
+}
+
+// ==========================================================================
+// Mobile Menu
+// ==========================================================================
+
+function initMobileMenu() {
+  const toggle = document.getElementById('mobile-menu-toggle');
+  const nav = document.querySelector('.main-nav');
+  const overlay = document.getElementById('nav-overlay');
+
+  if (!toggle || !nav) return;
+
+  function openMenu() {
+    nav.classList.add('open');
+    overlay.classList.add('active');
+    toggle.setAttribute('aria-expanded', 'true');
+    document.body.style.overflow = 'hidden';
+  }
+
+  function closeMenu() {
+    nav.classList.remove('open');
+    overlay.classList.remove('active');
+    toggle.setAttribute('aria-expanded', 'false');
+    document.body.style.overflow = '';
+  }
+
+  toggle.addEventListener('click', () => {
+    nav.classList.contains('open') ? closeMenu() : openMenu();
+  });
+
+  overlay.addEventListener('click', closeMenu);
+
+  nav.querySelectorAll('a').forEach(link => {
+    link.addEventListener('click', closeMenu);
+  });
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && nav.classList.contains('open')) closeMenu();
+  });
+}
+
+// ==========================================================================
+// Init
+// ==========================================================================
+
+function init() {
+  initMobileMenu();
+  initOfflineSupport();
+  render();
+  console.log('✅ Página de destinos iniciada');
+}
+
+init();
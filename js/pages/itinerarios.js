@@ -3,25 +3,79 @@
 // ==========================================================================
 
 import { CONFIG, isMobile } from '../config.js';
-import { setStorage, getStorage, formatDate, sanitize } from '../utils.js';
+import { formatDate, formatCurrency, sanitize, debounce, copyToClipboard } from '../utils.js';
+import { buildItinerario } from '../modules/itinerary-schema.js';
+import {
+  loadItinerarios,
+  putItinerario,
+  deleteItinerario,
+  StorageQuotaError,
+  RevisionConflictError,
+} from '../modules/itinerary-store.js';
+import { saveItinerarioMerging } from '../modules/itinerary-merge.js';
+import { onRemoteChange } from '../modules/tab-channel.js';
+import { recordChange, undo, redo, initUndoShortcuts } from '../modules/undo-history.js';
+import {
+  exportItinerarios,
+  readImportFile,
+  planImport,
+  applyImport,
+  ImportError,
+} from '../modules/itinerary-transfer.js';
+import { buildShareUrl } from '../modules/share-link.js';
+import { initOfflineSupport } from '../modules/offline.js';
+import { queueChange } from '../modules/sync-outbox.js';
+import { initSyncStatus } from '../modules/sync-status.js';
+import { createSearchIndex } from '../modules/search-index.js';
+import {
+  ORDENES,
+  DEFAULT_VIEW,
+  loadView,
+  saveView,
+  normalizeView,
+  viewToSearch,
+  isDefaultView,
+  matchesView,
+  sortByView,
+  groupByView,
+  resetView,
+  toLocalIsoDate,
+} from '../modules/itinerary-view.js';
+import { computeStats } from '../modules/itinerary-stats.js';
+import {
+  buildMonthWeeks,
+  layoutWeek,
+  addMonths,
+  formatMonth,
+  findOverlaps,
+  findOverlapping,
+} from '../modules/trip-calendar.js';
+import { countTripDays } from '../modules/time-zone.js';
+import { planDayReconciliation, applyDayReconciliation, defaultDecisions } from '../modules/day-reconcile.js';
 
 // ==========================================================================
 // Constants
 // ==========================================================================
-const STORAGE_KEY = CONFIG.STORAGE_KEYS.SAVED_ITINERARIES;
 const COLORES = ['blue', 'green', 'orange', 'purple', 'pink'];
+const MAX_COINCIDENCIAS = 2;   // Motivos de coincidencia visibles por tarjeta
 
 // ==========================================================================
 // State
 // ==========================================================================
 const state = {
   itinerarios: [],
-  filtroActual: 'todos',
+  vista: { ...DEFAULT_VIEW },   // Filtros, orden y agrupación (itinerary-view.js)
   busqueda: '',
   editandoId: null,
   eliminandoId: null,
+  importacion: null,   // Resultado de readImportFile() pendiente de confirmar
+  solapes: new Map(),  // id → itinerarios con fechas que se solapan (findOverlaps)
+  solapeAceptado: null, // Fechas del formulario ya avisadas: el segundo "Guardar" pasa
 };
 
+// Índice de búsqueda sobre el contenido de los itinerarios
+const indiceBusqueda = createSearchIndex();
+
 // ==========================================================================
 // Helpers
 // ==========================================================================
@@ -32,10 +86,7 @@ function getColorPorId(id) {
 }
 
 function calcularDias(fechaInicio, fechaFin) {
-  const inicio = new Date(fechaInicio);
-  const fin = new Date(fechaFin);
-  const diff = fin - inicio;
-  return Math.max(1, Math.ceil(diff / (1000 * 60 * 60 * 24)) + 1);
+  return countTripDays(fechaInicio, fechaFin);
 }
 
 function formatearFecha(fecha) {
@@ -57,62 +108,323 @@ function getLabelEstado(estado) {
 // CRUD - Itinerarios
 // ==========================================================================
 
-function cargarItinerarios() {
-  state.itinerarios = getStorage(STORAGE_KEY, []);
-}
-
-function guardarItinerarios() {
-  setStorage(STORAGE_KEY, state.itinerarios);
+async function cargarItinerarios() {
+  const { itinerarios, quarantined } = await loadItinerarios();
+  state.itinerarios = itinerarios;
+  indiceBusqueda.sync(itinerarios);
+  return quarantined;
 }
 
-function crearItinerario(datos) {
-  const nuevo = {
+async function crearItinerario(datos) {
+  const nuevo = buildItinerario({
     id: 'it_' + Date.now().toString(16),
     ...datos,
     creadoEn: new Date().toISOString(),
-  };
-  state.itinerarios.unshift(nuevo);
-  guardarItinerarios();
-  return nuevo;
+  });
+  const guardado = await putItinerario(nuevo);
+  state.itinerarios.unshift(guardado);
+  indiceBusqueda.update(guardado);
+  recordChange({ itinerarioId: guardado.id, label: 'Crear itinerario', before: null, after: guardado });
+  queueChange({ itinerarioId: guardado.id, before: null, after: guardado });
+  return guardado;
 }
 
-function editarItinerario(id, datos) {
+/**
+ * @returns {Promise<object|null>} - {diasMovidos}: días con actividades que
+ *   quedaban fuera de las fechas nuevas; null si el itinerario no existe
+ */
+async function editarItinerario(id, datos) {
   const index = state.itinerarios.findIndex(it => it.id === id);
-  if (index === -1) return false;
-  state.itinerarios[index] = {
-    ...state.itinerarios[index],
+  if (index === -1) return null;
+  const base = state.itinerarios[index];
+  const { cambios, diasMovidos } = reconciliarDias(base, datos);
+  const actualizado = {
+    ...base,
     ...datos,
+    ...cambios,
     actualizadoEn: new Date().toISOString(),
   };
-  guardarItinerarios();
-  return true;
+  const { saved } = await saveItinerarioMerging(actualizado, base);
+  state.itinerarios[index] = saved;
+  indiceBusqueda.update(saved);
+  recordChange({ itinerarioId: id, label: 'Editar itinerario', before: base, after: saved });
+  queueChange({ itinerarioId: id, before: base, after: saved });
+  return { diasMovidos };
+}
+
+/**
+ * Días y gastos con las fechas nuevas, como en la página de detalle. Aquí no
+ * se pregunta: los días con actividades que quedan fuera se mueven (con su
+ * hora) al día más cercano del rango nuevo
+ */
+function reconciliarDias(base, datos) {
+  if (base.fechaInicio === datos.fechaInicio && base.fechaFin === datos.fechaFin) {
+    return { cambios: {}, diasMovidos: 0 };
+  }
+  const plan = planDayReconciliation(base, datos);
+  const { days, expenses } = applyDayReconciliation(base, plan, defaultDecisions(plan, datos.fechaInicio));
+  return { cambios: { days, expenses }, diasMovidos: plan.fuera.length };
 }
 
-function eliminarItinerario(id) {
+async function eliminarItinerario(id) {
+  const eliminado = state.itinerarios.find(it => it.id === id);
+  await deleteItinerario(id);
   state.itinerarios = state.itinerarios.filter(it => it.id !== id);
-  guardarItinerarios();
+  indiceBusqueda.remove(id);
+  if (eliminado) {
+    recordChange({ itinerarioId: id, label: 'Eliminar itinerario', before: eliminado, after: null });
+    queueChange({ itinerarioId: id, before: eliminado, after: null });
+  }
+}
+
+function handleStorageError(error) {
+  if (error instanceof RevisionConflictError) {
+    // Otra pestaña se adelantó: mostrar lo que hay guardado ahora
+    showToast(error.message, 'info');
+    recargarDesdeOtraPestana();
+    return;
+  }
+  console.error('❌ Error guardando itinerarios:', error);
+  const message = error instanceof StorageQuotaError
+    ? error.message
+    : CONFIG.MESSAGES.ERRORS.GENERIC;
+  showToast(message, 'error');
 }
 
 // ==========================================================================
-// Render Functions
+// Sincronización entre pestañas
 // ==========================================================================
 
-function getItinerariosFiltrados() {
-  let lista = [...state.itinerarios];
+const recargarDesdeOtraPestana = debounce(async () => {
+  await cargarItinerarios();
 
-  if (state.filtroActual !== 'todos') {
-    lista = lista.filter(it => it.estado === state.filtroActual);
+  // Si el itinerario que se estaba editando desapareció, cerrar el formulario
+  if (state.editandoId && !state.itinerarios.some(it => it.id === state.editandoId)) {
+    state.editandoId = null;
+    cerrarModal('modal-form');
+    showToast(CONFIG.MESSAGES.ERRORS.DELETED_ELSEWHERE, 'info');
   }
+  if (state.eliminandoId && !state.itinerarios.some(it => it.id === state.eliminandoId)) {
+    state.eliminandoId = null;
+    cerrarModal('modal-confirm');
+  }
+  if (state.importacion) renderVistaPreviaImportacion();
+
+  render();
+}, 100);
+
+function initTabSync() {
+  onRemoteChange(recargarDesdeOtraPestana);
+}
+
+// ==========================================================================
+// Deshacer / Rehacer
+// ==========================================================================
+
+const ACCION_DESHACER = { label: 'Deshacer', onClick: () => deshacer() };
+const ACCION_REHACER = { label: 'Rehacer', onClick: () => rehacer() };
+
+async function deshacer() {
+  try {
+    const result = await undo();
+    if (!result) return;
+    encolarHistorial(result);
+    await cargarItinerarios();
+    render();
+    showToast(`Deshecho: ${result.entry.label}`, 'info', ACCION_REHACER);
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+async function rehacer() {
+  try {
+    const result = await redo();
+    if (!result) return;
+    encolarHistorial(result);
+    await cargarItinerarios();
+    render();
+    showToast(`Rehecho: ${result.entry.label}`, 'info', ACCION_DESHACER);
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+/**
+ * Si se llega desde destinos.html (?nuevo=1&destino=...), abrir el
+ * formulario de nuevo itinerario con el destino ya puesto
+ */
+function abrirNuevoDesdeUrl() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('nuevo')) return;
+
+  const destino = (params.get('destino') || '').trim();
+  params.delete('nuevo');
+  params.delete('destino');
+  const query = params.toString();
+  history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+  abrirFormNuevo();
+  if (destino) document.getElementById('input-destino').value = destino;
+}
+
+/**
+ * Anota para sincronizar lo que acaba de aplicar deshacer/rehacer.
+ * `state.itinerarios` aún tiene la versión de antes.
+ */
+function encolarHistorial({ entry, itinerario }) {
+  const antes = state.itinerarios.find(it => it.id === entry.itinerarioId) ?? null;
+  queueChange({ itinerarioId: entry.itinerarioId, before: antes, after: itinerario });
+}
+
+/**
+ * Si se llega desde el detalle tras eliminar un itinerario (?eliminado=id),
+ * ofrecer deshacerlo y limpiar el parámetro de la URL
+ */
+function avisarEliminadoDesdeDetalle() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('eliminado')) return;
+
+  params.delete('eliminado');
+  const query = params.toString();
+  history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+  showToast('Itinerario eliminado', 'info', ACCION_DESHACER);
+}
+
+// ==========================================================================
+// Render Functions
+// ==========================================================================
+
+/**
+ * Itinerarios visibles con la vista y la búsqueda actuales, ya ordenados.
+ * Con búsqueda llevan `coincidencias` (por qué aparece cada uno) y, si no
+ * se ha elegido otro orden, se ordenan por relevancia.
+ * @returns {Array<object>} - {itinerario, coincidencias}
+ */
+function getItinerariosFiltrados() {
+  let lista = state.itinerarios
+    .filter(it => matchesView(it, state.vista))
+    .map(itinerario => ({ itinerario, coincidencias: [] }));
 
   if (state.busqueda.trim()) {
-    const q = state.busqueda.toLowerCase();
-    lista = lista.filter(it =>
-      it.destino.toLowerCase().includes(q) ||
-      it.nombre.toLowerCase().includes(q)
-    );
+    const resultados = indiceBusqueda.search(state.busqueda);
+    lista = lista
+      .filter(({ itinerario }) => resultados.has(itinerario.id))
+      .map(({ itinerario }) => ({ itinerario, ...resultados.get(itinerario.id) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ itinerario, matches }) => ({
+        itinerario,
+        // El destino y el nombre ya se ven en la tarjeta
+        coincidencias: matches.filter(m => m.type !== 'destino' && m.type !== 'nombre'),
+      }));
+
+    if (state.vista.orden === DEFAULT_VIEW.orden) return lista;
   }
 
-  return lista;
+  return sortByView(lista, state.vista, entrada => entrada.itinerario);
+}
+
+function renderCoincidencias(coincidencias) {
+  if (coincidencias.length === 0) return '';
+  const visibles = coincidencias.slice(0, MAX_COINCIDENCIAS);
+  const resto = coincidencias.length - visibles.length;
+  return `
+    <ul class="card-matches" aria-label="Coincidencias con la búsqueda">
+      ${visibles.map(m => `<li><span class="card-match-label">${sanitize(m.label)}:</span> ${sanitize(m.text)}</li>`).join('')}
+      ${resto > 0 ? `<li class="card-match-more">y ${resto} coincidencia${resto !== 1 ? 's' : ''} más</li>` : ''}
+    </ul>
+  `;
+}
+
+function renderAvisoSolape(it) {
+  const otros = state.solapes.get(it.id);
+  if (!otros) return '';
+  return `
+    <div class="card-meta-item card-overlap">
+      <span aria-hidden="true">⚠</span>
+      Se solapa con ${sanitize(otros.map(o => o.destino || o.nombre).join(', '))}
+    </div>
+  `;
+}
+
+function renderCard({ itinerario: it, coincidencias }) {
+  const dias = calcularDias(it.fechaInicio, it.fechaFin);
+  const color = getColorPorId(it.id);
+
+  return `
+    <article class="itinerario-card" data-id="${it.id}">
+      <div class="card-color-bar ${color}"></div>
+      <div class="itinerario-card-body">
+        <div class="card-top">
+          <div>
+            <h3 class="card-destination">${sanitize(it.destino)}</h3>
+            <p class="card-name">${sanitize(it.nombre)}</p>
+          </div>
+          <span class="card-status status-${it.estado}">${getLabelEstado(it.estado)}</span>
+        </div>
+        <div class="card-meta">
+          <div class="card-meta-item">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
+              <line x1="16" y1="2" x2="16" y2="6"/>
+              <line x1="8" y1="2" x2="8" y2="6"/>
+              <line x1="3" y1="10" x2="21" y2="10"/>
+            </svg>
+            ${formatearFecha(it.fechaInicio)} → ${formatearFecha(it.fechaFin)}
+          </div>
+          ${it.notas ? `
+          <div class="card-meta-item">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
+              <polyline points="14 2 14 8 20 8"/>
+            </svg>
+            Tiene notas
+          </div>` : ''}
+          ${renderAvisoSolape(it)}
+        </div>
+        ${renderCoincidencias(coincidencias)}
+      </div>
+      <div class="card-footer">
+        <div class="card-days">
+          <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+            <circle cx="12" cy="12" r="10"/>
+            <polyline points="12 6 12 12 16 14"/>
+          </svg>
+          ${dias} día${dias !== 1 ? 's' : ''}
+        </div>
+        <div class="card-actions">
+          <button class="card-action-btn" data-action="ver" data-id="${it.id}" title="Ver detalle">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+              <circle cx="12" cy="12" r="3"/>
+            </svg>
+          </button>
+          <button class="card-action-btn" data-action="compartir" data-id="${it.id}" title="Copiar enlace para compartir">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/>
+              <path d="M8.59 13.51l6.83 3.98M15.41 6.51l-6.82 3.98"/>
+            </svg>
+          </button>
+          <button class="card-action-btn" data-action="exportar" data-id="${it.id}" title="Exportar JSON">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M7 10l5 5 5-5M12 15V3"/>
+            </svg>
+          </button>
+          <button class="card-action-btn" data-action="editar" data-id="${it.id}" title="Editar">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+              <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+            </svg>
+          </button>
+          <button class="card-action-btn delete" data-action="eliminar" data-id="${it.id}" title="Eliminar">
+            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+              <path d="M3 6h18M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6M10 11v6M14 11v6"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    </article>
+  `;
 }
 
 function renderCards() {
@@ -121,6 +433,8 @@ function renderCards() {
   const noResults = document.getElementById('no-results');
 
   const filtrados = getItinerariosFiltrados();
+  state.solapes = findOverlaps(state.itinerarios);
+  renderPanelEstadisticas(filtrados.map(entrada => entrada.itinerario));
 
   // Empty state
   if (state.itinerarios.length === 0) {
@@ -132,6 +446,15 @@ function renderCards() {
 
   emptyState.style.display = 'none';
 
+  const calendario = document.getElementById('calendario');
+  calendario.hidden = state.vista.modo !== 'calendario';
+  if (!calendario.hidden) {
+    grid.style.display = 'none';
+    noResults.style.display = 'none';
+    renderCalendario(filtrados.map(entrada => entrada.itinerario));
+    return;
+  }
+
   // No results
   if (filtrados.length === 0) {
     grid.style.display = 'none';
@@ -142,72 +465,15 @@ function renderCards() {
   grid.style.display = 'grid';
   noResults.style.display = 'none';
 
-  grid.innerHTML = filtrados.map(it => {
-    const dias = calcularDias(it.fechaInicio, it.fechaFin);
-    const color = getColorPorId(it.id);
-
-    return `
-      <article class="itinerario-card" data-id="${it.id}">
-        <div class="card-color-bar ${color}"></div>
-        <div class="itinerario-card-body">
-          <div class="card-top">
-            <div>
-              <h3 class="card-destination">${sanitize(it.destino)}</h3>
-              <p class="card-name">${sanitize(it.nombre)}</p>
-            </div>
-            <span class="card-status status-${it.estado}">${getLabelEstado(it.estado)}</span>
-          </div>
-          <div class="card-meta">
-            <div class="card-meta-item">
-              <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
-                <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
-                <line x1="16" y1="2" x2="16" y2="6"/>
-                <line x1="8" y1="2" x2="8" y2="6"/>
-                <line x1="3" y1="10" x2="21" y2="10"/>
-              </svg>
-              ${formatearFecha(it.fechaInicio)} → ${formatearFecha(it.fechaFin)}
-            </div>
-            ${it.notas ? `
-            <div class="card-meta-item">
-              <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
-                <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
-                <polyline points="14 2 14 8 20 8"/>
-              </svg>
-              Tiene notas
-            </div>` : ''}
-          </div>
-        </div>
-        <div class="card-footer">
-          <div class="card-days">
-            <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
-              <circle cx="12" cy="12" r="10"/>
-              <polyline points="12 6 12 12 16 14"/>
-            </svg>
-            ${dias} día${dias !== 1 ? 's' : ''}
-          </div>
-          <div class="card-actions">
-            <button class="card-action-btn" data-action="ver" data-id="${it.id}" title="Ver detalle">
-              <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
-                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
-                <circle cx="12" cy="12" r="3"/>
-              </svg>
-            </button>
-            <button class="card-action-btn" data-action="editar" data-id="${it.id}" title="Editar">
-              <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
-                <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
-                <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
-              </svg>
-            </button>
-            <button class="card-action-btn delete" data-action="eliminar" data-id="${it.id}" title="Eliminar">
-              <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
-                <path d="M3 6h18M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6M10 11v6M14 11v6"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-      </article>
-    `;
-  }).join('');
+  grid.innerHTML = groupByView(filtrados, state.vista, entrada => entrada.itinerario)
+    .map(grupo => `
+      ${grupo.label ? `
+      <h2 class="grid-group-title">
+        ${sanitize(grupo.label)}
+        <span class="grid-group-count">${grupo.items.length} viaje${grupo.items.length !== 1 ? 's' : ''}</span>
+      </h2>` : ''}
+      ${grupo.items.map(renderCard).join('')}
+    `).join('');
 
   // Event listeners en las cards
   grid.querySelectorAll('[data-action]').forEach(btn => {
@@ -215,6 +481,8 @@ function renderCards() {
       e.stopPropagation();
       const { action, id } = btn.dataset;
       if (action === 'ver') abrirDetalle(id);
+      if (action === 'exportar') exportarItinerario(id);
+      if (action === 'compartir') compartirItinerario(id);
       if (action === 'editar') abrirFormEditar(id);
       if (action === 'eliminar') abrirConfirmEliminar(id);
     });
@@ -240,6 +508,165 @@ function renderStats() {
   document.getElementById('stat-completado').textContent = completado;
 }
 
+/**
+ * Calendario del mes de la vista con una barra por viaje
+ * @param {Array<object>} itinerarios - Ya filtrados
+ */
+function renderCalendario(itinerarios) {
+  const hoy = toLocalIsoDate();
+  const mes = state.vista.mes || hoy.slice(0, 7);
+
+  document.getElementById('calendario-mes').textContent = formatMonth(mes);
+  document.getElementById('calendario-ir').value = mes;
+
+  // Con carriles desde 0; la fila 1 es la de los números de día
+  document.getElementById('calendario-semanas').innerHTML = buildMonthWeeks(mes).map(semana => `
+    <div class="calendar-week">
+      ${semana.map((fecha, i) => `
+        <span class="calendar-day ${fecha.startsWith(mes) ? '' : 'other-month'} ${fecha === hoy ? 'today' : ''}"
+              style="grid-column:${i + 1}">${Number(fecha.slice(8))}</span>
+      `).join('')}
+      ${layoutWeek(semana, itinerarios).map(tramo => renderBarraCalendario(tramo)).join('')}
+    </div>
+  `).join('');
+
+  document.getElementById('calendario-semanas').querySelectorAll('.calendar-bar').forEach(barra => {
+    // El título va como atributo, sin pasar por el HTML
+    const titulo = tituloBarraCalendario(itinerarios.find(it => it.id === barra.dataset.id));
+    barra.title = titulo;
+    barra.setAttribute('aria-label', titulo);
+    barra.addEventListener('click', () => abrirDetalle(barra.dataset.id));
+  });
+
+  document.getElementById('calendario-leyenda').hidden =
+    !itinerarios.some(it => state.solapes.has(it.id));
+}
+
+function tituloBarraCalendario(it) {
+  const otros = state.solapes.get(it.id);
+  return `${it.destino} · ${formatearFecha(it.fechaInicio)} → ${formatearFecha(it.fechaFin)}` +
+    (otros ? ` · Se solapa con ${otros.map(o => o.destino || o.nombre).join(', ')}` : '');
+}
+
+function renderBarraCalendario({ itinerario: it, columna, dias, carril, sigueAntes, sigueDespues }) {
+  const otros = state.solapes.get(it.id);
+
+  const clases = [
+    'calendar-bar',
+    getColorPorId(it.id),
+    sigueAntes ? 'continues-before' : '',
+    sigueDespues ? 'continues-after' : '',
+    otros ? 'overlap' : '',
+  ].filter(Boolean).join(' ');
+
+  return `
+    <button type="button" class="${clases}" data-id="${it.id}"
+            style="grid-column:${columna + 1} / span ${dias}; grid-row:${carril + 2}">
+      ${otros ? '<span aria-hidden="true">⚠</span>' : ''}
+      ${sigueAntes ? '' : sanitize(it.destino || it.nombre)}
+    </button>
+  `;
+}
+
+/**
+ * Panel de resumen sobre los itinerarios que se están mostrando
+ * @param {Array<object>} itinerarios - Ya filtrados
+ */
+function renderPanelEstadisticas(itinerarios) {
+  const panel = document.getElementById('stats-panel');
+  panel.hidden = itinerarios.length === 0;
+  if (panel.hidden) return;
+
+  const stats = computeStats(itinerarios);
+  const filtrado = itinerarios.length !== state.itinerarios.length;
+  document.getElementById('stats-panel-title').textContent = filtrado
+    ? `Resumen de ${stats.viajes} de ${state.itinerarios.length} viajes`
+    : `Resumen de ${stats.viajes} viaje${stats.viajes !== 1 ? 's' : ''}`;
+
+  const pct = stats.presupuesto ? Math.round((stats.gastado / stats.presupuesto) * 100) : 0;
+  const excedido = stats.restante < 0;
+
+  const tarjeta = (label, valor, detalle = '') => `
+    <div class="stat-card">
+      <span class="stat-card-label">${label}</span>
+      <span class="stat-card-value">${valor}</span>
+      ${detalle}
+    </div>
+  `;
+
+  document.getElementById('stats-panel-grid').innerHTML = [
+    tarjeta(
+      'Días de viaje',
+      stats.dias,
+      `<p class="stat-card-detail">${stats.paises.length} país${stats.paises.length !== 1 ? 'es' : ''}: ${sanitize(resumirLista(stats.paises))}</p>`
+    ),
+    tarjeta(
+      'Gastado / presupuesto',
+      formatCurrency(stats.gastado),
+      `<p class="stat-card-detail ${excedido ? 'over' : ''}">
+        de ${formatCurrency(stats.presupuesto)} (${pct}%) ·
+        ${excedido ? `${formatCurrency(-stats.restante)} por encima` : `quedan ${formatCurrency(stats.restante)}`}
+      </p>
+      <div class="budget-track" aria-hidden="true">
+        <div class="budget-fill ${excedido ? 'over' : ''}" style="width:${Math.min(100, pct)}%"></div>
+      </div>`
+    ),
+    tarjeta(
+      'Coste medio por día',
+      formatCurrency(stats.costeMedioDia),
+      '<p class="stat-card-detail">Gasto registrado entre días de viaje</p>'
+    ),
+    tarjeta(
+      'Categorías con más gasto',
+      stats.categorias.length ? `${stats.categorias[0].emoji} ${stats.categorias[0].label}` : '—',
+      stats.categorias.length
+        ? `<ul class="stat-categories">
+            ${stats.categorias.map(c => `
+              <li><span>${c.emoji} ${c.label}</span><span>${formatCurrency(c.total)} · ${Math.round(c.porcentaje * 100)}%</span></li>
+            `).join('')}
+          </ul>`
+        : '<p class="stat-card-detail">Aún no hay gastos</p>'
+    ),
+    renderCuentaAtras(stats),
+  ].join('');
+}
+
+function resumirLista(items, max = 4) {
+  if (items.length <= max) return items.join(', ');
+  return `${items.slice(0, max).join(', ')} y ${items.length - max} más`;
+}
+
+function renderCuentaAtras({ enCurso, siguiente }) {
+  if (enCurso) {
+    return `
+      <div class="stat-card">
+        <span class="stat-card-label">De viaje ahora</span>
+        <span class="stat-card-value">Día ${enCurso.dia} de ${enCurso.total}</span>
+        <p class="stat-card-detail">${sanitize(enCurso.itinerario.destino)}</p>
+      </div>
+    `;
+  }
+
+  if (!siguiente) {
+    return `
+      <div class="stat-card">
+        <span class="stat-card-label">Próximo viaje</span>
+        <span class="stat-card-value">—</span>
+        <p class="stat-card-detail">No hay viajes futuros en esta vista</p>
+      </div>
+    `;
+  }
+
+  const { faltan, itinerario } = siguiente;
+  return `
+    <div class="stat-card">
+      <span class="stat-card-label">Próximo viaje</span>
+      <span class="stat-card-value">${faltan === 1 ? 'Mañana' : `En ${faltan} días`}</span>
+      <p class="stat-card-detail">${sanitize(itinerario.destino)} · ${formatearFecha(itinerario.fechaInicio)}</p>
+    </div>
+  `;
+}
+
 function render() {
   renderCards();
   renderStats();
@@ -268,6 +695,7 @@ function abrirFormNuevo() {
   document.getElementById('modal-form-title').textContent = 'Nuevo Itinerario';
   document.getElementById('btn-form-guardar').textContent = 'Guardar itinerario';
   limpiarForm();
+  resetAvisoSolape();
   abrirModal('modal-form');
   setTimeout(() => document.getElementById('input-nombre').focus(), 100);
 }
@@ -291,6 +719,7 @@ function abrirFormEditar(id) {
   document.getElementById('input-notas').value = it.notas || '';
 
   limpiarErroresForm();
+  resetAvisoSolape();
   abrirModal('modal-form');
 }
 
@@ -337,10 +766,49 @@ function validarForm() {
     valido = false;
   }
 
+  // Solaparse con otro viaje no impide guardar, pero hay que confirmarlo una vez
+  if (valido && actualizarAvisoSolape()) {
+    const clave = `${fechaInicio}/${fechaFin}`;
+    if (state.solapeAceptado !== clave) {
+      state.solapeAceptado = clave;
+      document.getElementById('btn-form-guardar').textContent = 'Guardar igualmente';
+      return false;
+    }
+  }
+
   return valido;
 }
 
-function handleGuardar() {
+/**
+ * Muestra u oculta el aviso de fechas que coinciden con otros viajes
+ * @returns {boolean} - true si hay solape
+ */
+function actualizarAvisoSolape() {
+  const aviso = document.getElementById('aviso-solape');
+  const rango = {
+    fechaInicio: document.getElementById('input-fecha-inicio').value,
+    fechaFin: document.getElementById('input-fecha-fin').value,
+  };
+
+  const otros = rango.fechaFin >= rango.fechaInicio
+    ? findOverlapping(rango, state.itinerarios, state.editandoId)
+    : [];
+
+  aviso.hidden = otros.length === 0;
+  aviso.textContent = otros.length === 0 ? '' :
+    `⚠ Estas fechas coinciden con ${otros.map(o =>
+      `${o.destino || o.nombre} (${formatearFecha(o.fechaInicio)} → ${formatearFecha(o.fechaFin)})`
+    ).join(', ')}.`;
+
+  return otros.length > 0;
+}
+
+function resetAvisoSolape() {
+  state.solapeAceptado = null;
+  actualizarAvisoSolape();
+}
+
+async function handleGuardar() {
   if (!validarForm()) return;
 
   const datos = {
@@ -353,12 +821,19 @@ function handleGuardar() {
     notas: document.getElementById('input-notas').value.trim(),
   };
 
-  if (state.editandoId) {
-    editarItinerario(state.editandoId, datos);
-    showToast('Itinerario actualizado correctamente', 'success');
-  } else {
-    crearItinerario(datos);
-    showToast('Itinerario creado correctamente', 'success');
+  try {
+    if (state.editandoId) {
+      const { diasMovidos } = await editarItinerario(state.editandoId, datos) || {};
+      showToast(diasMovidos ?
+        `Itinerario actualizado · ${diasMovidos} día${diasMovidos !== 1 ? 's' : ''} con actividades fuera de las fechas nuevas se ha${diasMovidos !== 1 ? 'n' : ''} juntado con el más cercano` :
+        'Itinerario actualizado correctamente', diasMovidos ? 'info' : 'success', ACCION_DESHACER);
+    } else {
+      await crearItinerario(datos);
+      showToast('Itinerario creado correctamente', 'success', ACCION_DESHACER);
+    }
+  } catch (error) {
+    handleStorageError(error);
+    return;
   }
 
   cerrarModal('modal-form');
@@ -387,20 +862,174 @@ function abrirConfirmEliminar(id) {
   abrirModal('modal-confirm');
 }
 
-function handleEliminar() {
+async function handleEliminar() {
   if (!state.eliminandoId) return;
-  eliminarItinerario(state.eliminandoId);
+  try {
+    await eliminarItinerario(state.eliminandoId);
+  } catch (error) {
+    handleStorageError(error);
+    return;
+  }
   state.eliminandoId = null;
   cerrarModal('modal-confirm');
   render();
-  showToast('Itinerario eliminado', 'info');
+  showToast('Itinerario eliminado', 'info', ACCION_DESHACER);
+}
+
+// ==========================================================================
+// Exportar / Importar
+// ==========================================================================
+
+function exportarItinerario(id) {
+  const it = state.itinerarios.find(it => it.id === id);
+  if (!it) return;
+  exportItinerarios([it]);
+}
+
+async function compartirItinerario(id) {
+  const it = state.itinerarios.find(it => it.id === id);
+  if (!it) return;
+
+  let url;
+  try {
+    url = await buildShareUrl(it, 'itinerario-detalle.html');
+  } catch (error) {
+    console.error('❌ Error generando el enlace:', error);
+    showToast(CONFIG.MESSAGES.ERRORS.GENERIC, 'error');
+    return;
+  }
+
+  if (!await copyToClipboard(url)) {
+    showToast('No se pudo copiar el enlace', 'error');
+    return;
+  }
+  if (url.length > CONFIG.SHARE.MAX_URL_LENGTH) {
+    showToast('Enlace copiado. Es muy largo: algunas apps podrían cortarlo', 'info');
+  } else {
+    showToast('Enlace copiado al portapapeles', 'success');
+  }
+}
+
+function exportarTodos() {
+  if (state.itinerarios.length === 0) {
+    showToast('No hay itinerarios que exportar', 'info');
+    return;
+  }
+  exportItinerarios(state.itinerarios);
+  showToast(`${state.itinerarios.length} itinerario${state.itinerarios.length !== 1 ? 's' : ''} exportado${state.itinerarios.length !== 1 ? 's' : ''}`, 'success');
+}
+
+async function handleArchivoImportar(e) {
+  const input = e.target;
+  const file = input.files[0];
+  // Vaciar para poder volver a elegir el mismo archivo
+  input.value = '';
+  if (!file) return;
+
+  try {
+    state.importacion = await readImportFile(file);
+  } catch (error) {
+    if (!(error instanceof ImportError)) console.error('❌ Error leyendo el archivo:', error);
+    showToast(error instanceof ImportError ? error.message : CONFIG.MESSAGES.ERRORS.GENERIC, 'error');
+    return;
+  }
+
+  document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+  renderVistaPreviaImportacion();
+  abrirModal('modal-import');
+}
+
+function getModoImportacion() {
+  return document.querySelector('input[name="import-mode"]:checked').value;
+}
+
+function renderVistaPreviaImportacion() {
+  const { itinerarios, rejected, exportadoEn } = state.importacion;
+  const plan = planImport(itinerarios, state.itinerarios, getModoImportacion());
+
+  const total = itinerarios.length;
+  document.getElementById('import-summary').textContent =
+    `${total} itinerario${total !== 1 ? 's' : ''} en el archivo` +
+    (exportadoEn ? `, exportado el ${formatearFecha(exportadoEn.split('T')[0])}` : '') + '.';
+
+  document.getElementById('import-list').innerHTML = itinerarios.map(it => {
+    const actividades = it.days.reduce((n, day) => n + day.activities.length, 0);
+    return `
+      <li>
+        <span>${sanitize(it.destino)} – ${sanitize(it.nombre)}</span>
+        <span class="import-meta">${formatearFecha(it.fechaInicio)} · ${actividades} act.</span>
+      </li>
+    `;
+  }).join('');
+
+  const notas = [];
+  if (plan.eliminados > 0) {
+    notas.push({ text: `Se eliminarán tus ${plan.eliminados} itinerario${plan.eliminados !== 1 ? 's' : ''} actual${plan.eliminados !== 1 ? 'es' : ''}.`, warning: true });
+  }
+  if (plan.duplicados > 0) {
+    notas.push({ text: `${plan.duplicados} ya existe${plan.duplicados !== 1 ? 'n' : ''} sin cambios y no se duplicará${plan.duplicados !== 1 ? 'n' : ''}.` });
+  }
+  const { itinerarios: itRemap, actividades, gastos } = plan.remapped;
+  if (itRemap + actividades + gastos > 0) {
+    notas.push({ text: `Se asignarán IDs nuevos a los elementos que coinciden con los tuyos (${itRemap} itinerarios, ${actividades} actividades, ${gastos} gastos).` });
+  }
+  const regenerados = plan.regenerados;
+  if (regenerados.itinerarios + regenerados.actividades + regenerados.gastos > 0) {
+    notas.push({ text: `Se asignarán IDs nuevos a los elementos del archivo con un ID mal formado (${regenerados.itinerarios} itinerarios, ${regenerados.actividades} actividades, ${regenerados.gastos} gastos).` });
+  }
+  if (rejected.length > 0) {
+    notas.push({
+      text: `${rejected.length} itinerario${rejected.length !== 1 ? 's' : ''} del archivo no son válidos y se omitirán: ` +
+        rejected.map(r => r.nombre || `#${r.index + 1}`).join(', '),
+      warning: true,
+    });
+  }
+
+  document.getElementById('import-notes').innerHTML = notas
+    .map(n => `<li class="${n.warning ? 'warning' : ''}">${sanitize(n.text)}</li>`)
+    .join('');
+
+  document.getElementById('btn-import-confirmar').disabled = plan.itinerarios.length === 0;
+}
+
+async function handleConfirmarImportacion() {
+  if (!state.importacion) return;
+  const modo = getModoImportacion();
+
+  try {
+    // Planificar contra lo guardado ahora por si otra pestaña cambió algo
+    await cargarItinerarios();
+    const plan = planImport(state.importacion.itinerarios, state.itinerarios, modo);
+    await applyImport(plan);
+    await cargarItinerarios();
+
+    const n = plan.itinerarios.length;
+    showToast(`${n} itinerario${n !== 1 ? 's' : ''} importado${n !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    handleStorageError(error);
+    return;
+  }
+
+  cerrarImportacion();
+  render();
+}
+
+function cerrarImportacion() {
+  state.importacion = null;
+  cerrarModal('modal-import');
 }
 
 // ==========================================================================
 // Toast Notifications
 // ==========================================================================
 
-function showToast(message, type = 'success') {
+/**
+ * Muestra una notificación
+ * @param {string} message
+ * @param {string} type - success | error | info
+ * @param {object} [action] - Botón opcional {label, onClick}
+ */
+function showToast(message, type = 'success', action = null) {
   const icons = {
     success: `<svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>`,
     error: `<svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>`,
@@ -412,14 +1041,24 @@ function showToast(message, type = 'success') {
   toast.innerHTML = `
     <div class="toast-icon">${icons[type]}</div>
     <span class="toast-message">${sanitize(message)}</span>
+    ${action ? `<button type="button" class="toast-action">${sanitize(action.label)}</button>` : ''}
   `;
 
-  document.getElementById('toast-container').appendChild(toast);
-
-  setTimeout(() => {
+  const cerrar = () => {
     toast.classList.add('removing');
     setTimeout(() => toast.remove(), 300);
-  }, 3000);
+  };
+
+  if (action) {
+    toast.querySelector('.toast-action').addEventListener('click', () => {
+      cerrar();
+      action.onClick();
+    }, { once: true });
+  }
+
+  document.getElementById('toast-container').appendChild(toast);
+
+  setTimeout(cerrar, action ? CONFIG.UI.ACTION_TOAST_DURATION : 3000);
 }
 
 // ==========================================================================
@@ -466,20 +1105,106 @@ function initMobileMenu() {
 // Filters & Search
 // ==========================================================================
 
+/**
+ * Cambia la vista, la guarda en preferencias y en la URL y repinta
+ * @param {object} cambios - Campos de la vista a cambiar
+ */
+function setVista(cambios) {
+  state.vista = normalizeView({ ...state.vista, ...cambios });
+  saveView(state.vista);
+  escribirVistaEnUrl();
+  renderControlesVista();
+  renderCards();
+}
+
+function escribirVistaEnUrl() {
+  const query = viewToSearch(state.vista, window.location.search);
+  history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}
+
+/**
+ * Refleja la vista actual en los botones y campos de la barra
+ */
+function renderControlesVista() {
+  const { vista } = state;
+
+  document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.filter === vista.estado);
+  });
+  document.querySelectorAll('.filter-btn[data-momento]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.momento === vista.momento);
+  });
+  document.querySelectorAll('.filter-btn[data-modo]').forEach(btn => {
+    const activo = btn.dataset.modo === vista.modo;
+    btn.classList.toggle('active', activo);
+    btn.setAttribute('aria-pressed', String(activo));
+  });
+  // Orden y agrupación no aplican al calendario
+  document.getElementById('vista-orden').disabled = vista.modo === 'calendario';
+  document.getElementById('vista-direccion').disabled = vista.modo === 'calendario';
+  document.getElementById('vista-agrupar').disabled = vista.modo === 'calendario';
+
+  document.getElementById('vista-desde').value = vista.desde;
+  document.getElementById('vista-hasta').value = vista.hasta;
+  document.getElementById('vista-orden').value = vista.orden;
+  document.getElementById('vista-agrupar').value = vista.agrupar;
+
+  const direccion = document.getElementById('vista-direccion');
+  const asc = vista.direccion === 'asc';
+  direccion.textContent = asc ? '↑' : '↓';
+  direccion.title = `${ORDENES[vista.orden].label}: ${asc ? 'ascendente' : 'descendente'}`;
+  direccion.setAttribute('aria-label', `Orden ${asc ? 'ascendente' : 'descendente'}. Cambiar dirección`);
+
+  document.getElementById('vista-restablecer').hidden = isDefaultView(vista);
+}
+
 function initFilters() {
-  document.querySelectorAll('.filter-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      state.filtroActual = btn.dataset.filter;
-      renderCards();
-    });
+  // La URL manda sobre las preferencias; si no trae vista, se muestra la guardada
+  state.vista = loadView(window.location.search);
+  escribirVistaEnUrl();
+  renderControlesVista();
+
+  document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+    btn.addEventListener('click', () => setVista({ estado: btn.dataset.filter }));
+  });
+  document.querySelectorAll('.filter-btn[data-momento]').forEach(btn => {
+    btn.addEventListener('click', () => setVista({ momento: btn.dataset.momento }));
+  });
+
+  document.getElementById('vista-desde').addEventListener('change', e => setVista({ desde: e.target.value }));
+  document.getElementById('vista-hasta').addEventListener('change', e => setVista({ hasta: e.target.value }));
+  document.getElementById('vista-agrupar').addEventListener('change', e => setVista({ agrupar: e.target.value }));
+
+  // Al cambiar de orden se empieza por su dirección natural (fechas de inicio: la más próxima primero)
+  document.getElementById('vista-orden').addEventListener('change', e => {
+    const orden = e.target.value;
+    setVista({ orden, direccion: ORDENES[orden]?.direccion });
+  });
+  document.getElementById('vista-direccion').addEventListener('click', () => {
+    setVista({ direccion: state.vista.direccion === 'asc' ? 'desc' : 'asc' });
   });
+  document.getElementById('vista-restablecer').addEventListener('click', () => setVista(resetView(state.vista)));
 
-  document.getElementById('search-input').addEventListener('input', (e) => {
+  // Tarjetas / calendario
+  document.querySelectorAll('.filter-btn[data-modo]').forEach(btn => {
+    btn.addEventListener('click', () => setVista({ modo: btn.dataset.modo }));
+  });
+  const mesActual = () => state.vista.mes || toLocalIsoDate().slice(0, 7);
+  document.getElementById('calendario-anterior').addEventListener('click', () => {
+    setVista({ mes: addMonths(mesActual(), -1) });
+  });
+  document.getElementById('calendario-siguiente').addEventListener('click', () => {
+    setVista({ mes: addMonths(mesActual(), 1) });
+  });
+  document.getElementById('calendario-hoy').addEventListener('click', () => setVista({ mes: '' }));
+  document.getElementById('calendario-ir').addEventListener('change', e => {
+    if (e.target.value) setVista({ mes: e.target.value });
+  });
+
+  document.getElementById('search-input').addEventListener('input', debounce((e) => {
     state.busqueda = e.target.value;
     renderCards();
-  });
+  }, CONFIG.SEARCH.DEBOUNCE_DELAY));
 }
 
 // ==========================================================================
@@ -493,17 +1218,43 @@ function initModals() {
   document.getElementById('modal-form-close').addEventListener('click', () => cerrarModal('modal-form'));
   document.getElementById('btn-form-cancelar').addEventListener('click', () => cerrarModal('modal-form'));
   document.getElementById('btn-form-guardar').addEventListener('click', handleGuardar);
+  // Avisar de solapes en cuanto cambian las fechas; si ya se había avisado, vuelve a pedir confirmación
+  ['input-fecha-inicio', 'input-fecha-fin'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      if (state.solapeAceptado) {
+        document.getElementById('btn-form-guardar').textContent =
+          state.editandoId ? 'Guardar cambios' : 'Guardar itinerario';
+      }
+      resetAvisoSolape();
+    });
+  });
 
   // Modal Confirmar
   document.getElementById('btn-confirm-cancelar').addEventListener('click', () => cerrarModal('modal-confirm'));
   document.getElementById('btn-confirm-eliminar').addEventListener('click', handleEliminar);
 
+  // Exportar / Importar
+  document.getElementById('btn-exportar-todos').addEventListener('click', exportarTodos);
+  document.getElementById('btn-importar').addEventListener('click', () => {
+    document.getElementById('input-importar').click();
+  });
+  document.getElementById('input-importar').addEventListener('change', handleArchivoImportar);
+  document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+    radio.addEventListener('change', renderVistaPreviaImportacion);
+  });
+  document.getElementById('modal-import-close').addEventListener('click', cerrarImportacion);
+  document.getElementById('btn-import-cancelar').addEventListener('click', cerrarImportacion);
+  document.getElementById('btn-import-confirmar').addEventListener('click', handleConfirmarImportacion);
+
   // Cerrar modales con backdrop
   ['modal-form', 'modal-confirm'].forEach(id => {
     document.getElementById(id).addEventListener('click', (e) => {
       if (e.target === e.currentTarget) cerrarModal(id);
     });
   });
+  document.getElementById('modal-import').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) cerrarImportacion();
+  });
 
   // Cerrar con ESC
   document.addEventListener('keydown', (e) => {
@@ -511,6 +1262,7 @@ function initModals() {
       ['modal-confirm', 'modal-form'].forEach(id => {
         cerrarModal(id);
       });
+      if (state.importacion) cerrarImportacion();
     }
   });
 }
@@ -519,12 +1271,28 @@ function initModals() {
 // Init
 // ==========================================================================
 
-function init() {
-  cargarItinerarios();
+async function init() {
   initMobileMenu();
   initFilters();
   initModals();
+  initTabSync();
+  initOfflineSupport();
+  initSyncStatus({ onResolved: recargarDesdeOtraPestana });
+  initUndoShortcuts({ undo: deshacer, redo: rehacer });
+  let quarantined = 0;
+  try {
+    quarantined = await cargarItinerarios();
+  } catch (error) {
+    handleStorageError(error);
+  }
   render();
+  avisarEliminadoDesdeDetalle();
+  abrirNuevoDesdeUrl();
+  if (quarantined > 0) {
+    showToast(quarantined === 1
+      ? 'Un itinerario dañado se ha apartado en cuarentena'
+      : `${quarantined} itinerarios dañados se han apartado en cuarentena`, 'error');
+  }
   console.log('✅ Página de itinerarios iniciada');
 }
 
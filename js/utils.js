@@ -125,15 +125,16 @@ export function truncate(str, maxLength = 100, suffix = '...') {
   return str.substring(0, maxLength - suffix.length) + suffix;
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 /**
- * Sanitiza una cadena para prevenir XSS
+ * Sanitiza una cadena para prevenir XSS. Escapa también las comillas, así
+ * que vale tanto para texto como para valores de atributo
  * @param {string} str
  * @returns {string}
  */
 export function sanitize(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  return String(str ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 /**
@@ -152,6 +153,20 @@ export function slugify(str) {
     .trim();
 }
 
+/**
+ * Normaliza texto para comparar: minúsculas, sin acentos ni espacios extra
+ * @param {string} str
+ * @returns {string}
+ */
+export function normalizeText(str) {
+  return String(str ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Eliminar acentos
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 // ==========================================================================
 // Validation Utilities
 // ==========================================================================
@@ -256,11 +271,28 @@ export function setStorage(key, value) {
     localStorage.setItem(key, serialized);
     return true;
   } catch (error) {
-    console.error('Error guardando en localStorage:', error);
+    if (isQuotaExceededError(error)) {
+      console.error('Espacio de localStorage agotado al guardar:', key);
+    } else {
+      console.error('Error guardando en localStorage:', error);
+    }
     return false;
   }
 }
 
+/**
+ * Detecta si un error se debe a que se agotó la cuota de almacenamiento
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
 /**
  * Obtiene datos de localStorage de manera segura
  * @param {string} key - Clave
@@ -455,15 +487,19 @@ export function sleep(ms) {
  * @param {Function} fn - Función async a ejecutar
  * @param {number} retries - Número de reintentos
  * @param {number} delay - Delay entre reintentos
+ * @param {object} options
+ * @param {number} options.factor - Multiplica el delay en cada reintento (2 = backoff exponencial)
+ * @param {Function} options.shouldRetry - (error) => boolean; si devuelve false se propaga el error
  * @returns {Promise}
  */
-export async function retry(fn, retries = 3, delay = 1000) {
+export async function retry(fn, retries = 3, delay = 1000, options = {}) {
+  const { factor = 1, shouldRetry = () => true } = options;
   try {
     return await fn();
   } catch (error) {
-    if (retries === 0) throw error;
+    if (retries === 0 || !shouldRetry(error)) throw error;
     await sleep(delay);
-    return retry(fn, retries - 1, delay);
+    return retry(fn, retries - 1, delay * factor, options);
   }
 }
 
@@ -494,6 +530,26 @@ export async function copyToClipboard(text) {
   }
 }
 
+/**
+ * Descarga un contenido generado en el navegador como archivo
+ * @param {string|Blob} content - Contenido del archivo
+ * @param {string} filename - Nombre sugerido
+ * @param {string} mimeType - Tipo MIME (si content es texto)
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revocar en el siguiente tick para que el navegador empiece la descarga
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Detecta si el usuario está online
  * @returns {boolean}
@@ -0,0 +1,133 @@
+/**
+ * ==========================================================================
+ * wanderland - Service Worker
+ * ==========================================================================
+ *
+ * Precarga las páginas, estilos y módulos JS y los sirve desde la caché
+ * primero, para que la app abra sin conexión (o con roaming inestable).
+ *
+ * Para publicar cambios hay que subir CACHE_VERSION: el navegador detecta
+ * que este archivo cambió, instala la nueva versión en espera y la página
+ * ofrece actualizar. Al activarse se borran las cachés de versiones
+ * anteriores.
+ *
+ * Al añadir un archivo a la app, añadirlo también a PRECACHE_URLS.
+ */
+
+const CACHE_PREFIX = 'wanderland-';
+const CACHE_VERSION = 'v18';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Rutas relativas a este archivo (raíz del sitio)
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './pages/destinos.html',
+  './pages/itinerarios.html',
+  './pages/itinerario-detalle.html',
+
+  './css/reset.css',
+  './css/variables.css',
+  './css/layout.css',
+  './css/components.css',
+  './css/pages/destinos.css',
+  './css/pages/itinerarios.css',
+
+  './js/config.js',
+  './js/utils.js',
+  './js/main.js',
+  './js/pages/destinos.js',
+  './js/pages/itinerarios.js',
+  './js/api/client.js',
+  './js/api/mock-server.js',
+  './js/modules/auto-scheduler.js',
+  './js/modules/day-reconcile.js',
+  './js/modules/day-schedule.js',
+  './js/modules/destinations.js',
+  './js/modules/duration.js',
+  './js/modules/geo.js',
+  './js/modules/icalendar.js',
+  './js/modules/itinerary-merge.js',
+  './js/modules/itinerary-schema.js',
+  './js/modules/itinerary-stats.js',
+  './js/modules/itinerary-store.js',
+  './js/modules/itinerary-transfer.js',
+  './js/modules/itinerary-view.js',
+  './js/modules/offline.js',
+  './js/modules/route-optimizer.js',
+  './js/modules/search-index.js',
+  './js/modules/search-suggestions.js',
+  './js/modules/share-link.js',
+  './js/modules/sync-outbox.js',
+  './js/modules/sync-status.js',
+  './js/modules/tab-channel.js',
+  './js/modules/time-zone.js',
+  './js/modules/travel.js',
+  './js/modules/trip-calendar.js',
+  './js/modules/undo-history.js',
+];
+
+// ==========================================================================
+// Lifecycle
+// ==========================================================================
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+  // No se llama a skipWaiting(): la página pregunta antes de actualizar
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ==========================================================================
+// Fetch: cache first
+// ==========================================================================
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  // Solo recursos propios; la API siempre va a la red
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(cacheFirst(request));
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  // Las páginas se piden con ?id=... o #...: buscarlas sin la query
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // Sin red y sin copia: para navegaciones, al menos la portada
+    if (request.mode === 'navigate') {
+      const fallback = await cache.match('./index.html');
+      if (fallback) return fallback;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planAutoSchedule, getDayWindow } from '../js/modules/auto-scheduler.js';
+import { getTravelSettings } from '../js/modules/travel.js';
+
+const opciones = { jornada: getDayWindow({}), settings: getTravelSettings({}) };
+
+test('una comida que no cabe porque ya hay otra en cada franja lo dice así', () => {
+  const day = {
+    date: '2026-05-01',
+    timeZone: 'Europe/Madrid',
+    activities: [
+      // Empiezan antes de cada franja pero la ocupan
+      { id: 'act_1', name: 'Menú del día', time: '12:00', duration: '1h30m', type: 'food' },
+      { id: 'act_2', name: 'Tapas', time: '19:00', duration: '2h', type: 'food' },
+      { id: 'act_3', name: 'Cena en la Latina', time: '', duration: '1h30m', type: 'food' },
+    ],
+  };
+
+  const { asignadas, sinHueco } = planAutoSchedule(day, opciones);
+
+  assert.equal(asignadas.length, 0);
+  assert.deepEqual(sinHueco.map(({ act, motivo }) => [act.id, motivo]), [
+    ['act_3', 'Ya hay otra comida en cada franja'],
+  ]);
+});
+
+test('dos comidas por planificar ocupan una franja cada una', () => {
+  const day = {
+    date: '2026-05-01',
+    timeZone: 'Europe/Madrid',
+    activities: [
+      { id: 'act_1', name: 'Comida', time: '', duration: '1h30m', type: 'food' },
+      { id: 'act_2', name: 'Cena', time: '', duration: '1h30m', type: 'food' },
+      { id: 'act_3', name: 'Merienda', time: '', duration: '1h', type: 'food' },
+    ],
+  };
+
+  const { asignadas, sinHueco } = planAutoSchedule(day, opciones);
+
+  assert.deepEqual(asignadas.map(({ act, time }) => [act.id, time]), [['act_1', '12:30'], ['act_2', '19:30']]);
+  assert.deepEqual(sinHueco.map(({ act, motivo }) => [act.id, motivo]), [
+    ['act_3', 'Ya hay otra comida en cada franja'],
+  ]);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  rangeDates,
+  planDayReconciliation,
+  applyDayReconciliation,
+  defaultDecisions,
+} from '../js/modules/day-reconcile.js';
+
+function itinerario() {
+  const dia = (date, acts) => ({
+    date,
+    timeZone: 'Europe/Madrid',
+    activities: acts.map(([id, time, duration = '1h']) => ({ id, name: id, time, duration, expenseId: null })),
+  });
+  return {
+    fechaInicio: '2026-07-01',
+    fechaFin: '2026-07-03',
+    timeZone: 'Europe/Madrid',
+    days: [
+      dia('2026-07-01', [['act_1', '10:00']]),
+      dia('2026-07-02', [['act_2', '09:00']]),
+      dia('2026-07-03', [['act_3', '21:00', '2h'], ['act_4', '23:00']]),
+    ],
+    expenses: [{ id: 'exp_1', name: 'Museo', amount: 12, date: '2026-07-02' }],
+  };
+}
+
+test('rangeDates incluye los dos extremos', () => {
+  assert.deepEqual(rangeDates('2026-07-30', '2026-08-01'), ['2026-07-30', '2026-07-31', '2026-08-01']);
+});
+
+test('mover el viaje entero desplaza los días conservando su posición', () => {
+  const it = itinerario();
+  const plan = planDayReconciliation(it, { fechaInicio: '2026-08-01', fechaFin: '2026-08-03' });
+
+  assert.deepEqual(plan.days.map(d => [d.date, d.desde]), [['2026-08-01', 0], ['2026-08-02', 1], ['2026-08-03', 2]]);
+  assert.deepEqual(plan.fuera, []);
+
+  const { expenses } = applyDayReconciliation(it, plan);
+  assert.equal(expenses[0].date, '2026-08-02');
+});
+
+test('mover solo el inicio conserva la fecha de cada día', () => {
+  const it = itinerario();
+  const plan = planDayReconciliation(it, { fechaInicio: '2026-07-02', fechaFin: '2026-07-03' });
+
+  assert.deepEqual(plan.days.map(d => [d.date, d.desde]), [['2026-07-02', 1], ['2026-07-03', 2]]);
+  assert.deepEqual(plan.fuera.map(d => d.date), ['2026-07-01']);
+  assert.deepEqual(defaultDecisions(plan, '2026-07-02'), [{ accion: 'mover', destino: 0 }]);
+});
+
+test('fusionar pone las actividades tras las del día y deja por planificar las que pasan de medianoche', () => {
+  const it = itinerario();
+  // Acortar por el final: el día 3 queda fuera
+  const plan = planDayReconciliation(it, { fechaInicio: '2026-07-01', fechaFin: '2026-07-02' });
+  assert.deepEqual(plan.fuera.map(d => d.date), ['2026-07-03']);
+
+  const { days, sinHora } = applyDayReconciliation(it, plan, [{ accion: 'fusionar', destino: 1 }]);
+
+  // act_2 termina a las 10:00: act_3 va a las 10:00 y act_4 detrás
+  assert.deepEqual(days[1].activities.map(a => [a.id, a.time]), [['act_2', '09:00'], ['act_3', '10:00'], ['act_4', '12:00']]);
+  assert.equal(sinHora, 0);
+
+  const tarde = itinerario();
+  tarde.days[1].activities[0].time = '22:30';
+  const resultado = applyDayReconciliation(tarde, planDayReconciliation(tarde, { fechaInicio: '2026-07-01', fechaFin: '2026-07-02' }),
+    [{ accion: 'fusionar', destino: 1 }]);
+  assert.deepEqual(resultado.days[1].activities.map(a => [a.id, a.time]), [['act_2', '22:30'], ['act_3', '23:30'], ['act_4', '']]);
+  assert.equal(resultado.sinHora, 1);
+});
+
+test('eliminar un día quita también los gastos de sus actividades', () => {
+  const it = itinerario();
+  it.days[2].activities[0].expenseId = 'exp_1';
+  const plan = planDayReconciliation(it, { fechaInicio: '2026-07-01', fechaFin: '2026-07-02' });
+
+  const { days, expenses } = applyDayReconciliation(it, plan, [{ accion: 'eliminar' }]);
+
+  assert.equal(days.length, 2);
+  assert.deepEqual(expenses, []);
+});
+
+test('fusionar calcula el fin de las actividades en la zona del día (cambio de hora)', () => {
+  // 29 de marzo de 2026: en Madrid se pasa de las 02:00 a las 03:00
+  const it = {
+    fechaInicio: '2026-03-29',
+    fechaFin: '2026-03-30',
+    timeZone: 'Europe/Madrid',
+    days: [
+      { date: '2026-03-29', timeZone: 'Europe/Madrid', activities: [{ id: 'act_1', name: 'Fiesta', time: '01:00', duration: '2h' }] },
+      { date: '2026-03-30', timeZone: 'Europe/Madrid', activities: [{ id: 'act_2', name: 'Brunch', time: '11:00', duration: '1h' }] },
+    ],
+    expenses: [],
+  };
+  const plan = planDayReconciliation(it, { fechaInicio: '2026-03-29', fechaFin: '2026-03-29' });
+
+  const { days } = applyDayReconciliation(it, plan, [{ accion: 'fusionar', destino: 0 }]);
+
+  assert.equal(days[0].activities[1].time, '04:00');
+});
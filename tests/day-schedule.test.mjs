@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { recomputeTimes } from '../js/modules/day-schedule.js';
+
+test('recomputeTimes no da hora a las actividades por planificar', () => {
+  const { times } = recomputeTimes([
+    { time: '10:00', duration: '1h' },
+    { time: '', duration: '2h' },
+    { time: '09:00', duration: '30m' },
+  ]);
+
+  assert.deepEqual(times, ['09:00', '', '10:00']);
+});
+
+test('recomputeTimes deja las de hora fija en su sitio y sigue después de ellas', () => {
+  const { times } = recomputeTimes([
+    { time: '11:00', duration: '1h' },
+    { time: '10:00', duration: '1h', fixedTime: true },
+    { time: '09:00', duration: '30m' },
+  ]);
+
+  assert.deepEqual(times, ['09:00', '10:00', '11:00']);
+});
+
+test('recomputeTimes deja por planificar las que empezarían pasada la medianoche', () => {
+  const acts = [
+    { time: '21:00', duration: '2h' },
+    { time: '22:00', duration: '1h30m' },
+    { time: '23:00', duration: '1h' },
+    { time: '23:30', duration: '30m' },
+  ];
+
+  const { times, overflow } = recomputeTimes(acts);
+
+  assert.deepEqual(times, ['21:00', '23:00', '', '']);
+  assert.deepEqual(overflow, acts.slice(2));
+});
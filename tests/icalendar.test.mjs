@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { itinerarioToIcs, parseIcs, planIcsImport, applyIcsImport } from '../js/modules/icalendar.js';
+
+const TYPES = ['sightseeing', 'food', 'transport', 'hotel', 'activity'];
+
+function buildItinerario() {
+  return {
+    id: 'it_18f2a',
+    nombre: 'Kioto',
+    destino: 'Kioto, Japón',
+    fechaInicio: '2026-04-10',
+    fechaFin: '2026-04-11',
+    timeZone: 'Asia/Tokyo',
+    rev: 3,
+    days: [
+      {
+        date: '2026-04-10',
+        timeZone: 'Asia/Tokyo',
+        activities: [
+          { id: 'act_1', name: 'Fushimi Inari', time: '09:00', duration: '2h', type: 'sightseeing', cost: 0, expenseId: null },
+          { id: 'act_2', name: 'Cena kaiseki', time: '19:30', duration: '1h30m', type: 'food', cost: 0, expenseId: null },
+        ],
+      },
+      { date: '2026-04-11', timeZone: 'Asia/Tokyo', activities: [] },
+    ],
+    expenses: [],
+    checklist: [],
+  };
+}
+
+test('reimportar la exportación propia actualiza las actividades y no añade el evento del viaje', () => {
+  const it = buildItinerario();
+  const events = parseIcs(itinerarioToIcs(it), { timeZone: it.timeZone });
+  const plan = planIcsImport(events, it, TYPES);
+
+  assert.equal(plan.items.length, 2);
+  assert.deepEqual(plan.items.map(item => item.existingId), ['act_1', 'act_2']);
+
+  const { itinerario, added, updated } = applyIcsImport(it, plan);
+  assert.equal(added, 0);
+  assert.equal(updated, 2);
+  const acts = itinerario.days[0].activities;
+  assert.deepEqual(acts.map(a => [a.name, a.time, a.duration]), [
+    ['Fushimi Inari', '09:00', '2h'],
+    ['Cena kaiseki', '19:30', '1h30m'],
+  ]);
+  assert.ok(itinerario.days.every(day => day.activities.every(a => a.type !== 'hotel')));
+});
+
+test('las horas con zona se pasan a la zona del día en que caen', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:vuelo@ejemplo.com',
+    'SUMMARY:Vuelo a Tokio',
+    'DTSTART;TZID=Europe/Madrid:20260411T020000',
+    'DTEND;TZID=Europe/Madrid:20260411T033000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:museo@ejemplo.com',
+    'SUMMARY:Museo del Prado',
+    'DTSTART:20260410T080000Z',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const zonas = { '2026-04-10': 'Europe/Madrid', '2026-04-11': 'Asia/Tokyo' };
+
+  const events = parseIcs(ics, { timeZone: 'Europe/Madrid', zoneForDate: date => zonas[date] });
+
+  assert.deepEqual(events.map(e => [e.summary, e.date, e.time, e.durationMinutes]), [
+    ['Museo del Prado', '2026-04-10', '10:00', null],
+    ['Vuelo a Tokio', '2026-04-11', '09:00', 90],
+  ]);
+});
+
+test('las actividades por planificar no se exportan y siguen sin hora al reimportar', () => {
+  const it = buildItinerario();
+  it.days[0].activities.push(
+    { id: 'act_3', name: 'Compras en Nishiki', time: '', duration: '1h', type: 'activity', cost: 0, expenseId: null },
+    { id: 'act_4', name: 'Excursión a Nara', time: '', duration: 'Día completo', type: 'activity', cost: 0, expenseId: null }
+  );
+
+  const ics = itinerarioToIcs(it);
+  assert.ok(!ics.includes('Compras en Nishiki'));
+
+  const events = parseIcs(ics, { timeZone: it.timeZone });
+  const plan = planIcsImport(events, it, TYPES);
+  assert.deepEqual(plan.items.map(item => item.existingId), ['act_4', 'act_1', 'act_2']);
+
+  const { itinerario, added } = applyIcsImport(it, plan);
+  assert.equal(added, 0);
+  const pendiente = itinerario.days[0].activities.find(a => a.id === 'act_3');
+  assert.equal(pendiente.time, '');
+  assert.equal(itinerario.days[0].activities.length, 4);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeItinerario } from '../js/modules/itinerary-merge.js';
+
+function base() {
+  return {
+    id: 'it_9e2f',
+    nombre: 'Roma',
+    destino: 'Roma, Italia',
+    notas: '',
+    rev: 4,
+    days: [
+      { date: '2026-09-01', activities: [{ id: 'act_1', name: 'Coliseo', time: '09:00' }] },
+      { date: '2026-09-02', activities: [] },
+    ],
+    expenses: [{ id: 'exp_1', name: 'Entradas', amount: 40 }],
+    checklist: [{ label: 'Pasaporte y Visado', checked: false }],
+  };
+}
+
+const clonar = it => structuredClone(it);
+
+test('los cambios en campos y listas distintos se combinan', () => {
+  const local = clonar(base());
+  local.nombre = 'Roma en septiembre';
+  local.days[0].activities.push({ id: 'act_2', name: 'Foro', time: '11:00' });
+
+  const remote = clonar(base());
+  remote.rev = 5;
+  remote.notas = 'Llevar agua';
+  remote.checklist[0].checked = true;
+  remote.expenses.push({ id: 'exp_2', name: 'Cena', amount: 60 });
+
+  const { merged, conflicts } = mergeItinerario(base(), local, remote);
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(merged.rev, 5);
+  assert.equal(merged.nombre, 'Roma en septiembre');
+  assert.equal(merged.notas, 'Llevar agua');
+  assert.equal(merged.checklist[0].checked, true);
+  assert.deepEqual(merged.expenses.map(e => e.id), ['exp_1', 'exp_2']);
+  assert.deepEqual(merged.days[0].activities.map(a => a.id), ['act_1', 'act_2']);
+});
+
+test('editar la misma actividad de forma distinta en los dos lados es un conflicto', () => {
+  const local = clonar(base());
+  local.days[0].activities[0].time = '10:00';
+  const remote = clonar(base());
+  remote.days[0].activities[0].time = '08:30';
+
+  const { conflicts } = mergeItinerario(base(), local, remote);
+
+  assert.deepEqual(conflicts, ['actividad: act_1']);
+});
+
+test('lo que un lado eliminó y el otro no tocó sigue eliminado', () => {
+  const local = clonar(base());
+  local.expenses = [];
+  local.days = local.days.slice(0, 1);
+  const remote = clonar(base());
+  remote.nombre = 'Roma y Florencia';
+
+  const { merged, conflicts } = mergeItinerario(base(), local, remote);
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged.expenses, []);
+  assert.deepEqual(merged.days.map(d => d.date), ['2026-09-01']);
+  assert.equal(merged.nombre, 'Roma y Florencia');
+});
+
+test('eliminar en un lado lo que el otro editó es un conflicto', () => {
+  const local = clonar(base());
+  local.expenses = [];
+  const remote = clonar(base());
+  remote.expenses[0].amount = 45;
+
+  const { conflicts } = mergeItinerario(base(), local, remote);
+
+  assert.deepEqual(conflicts, ['gasto: exp_1']);
+});
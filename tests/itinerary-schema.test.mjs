@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SCHEMA_VERSION, upgradeItinerario } from '../js/modules/itinerary-schema.js';
+
+function registroV3(actividad) {
+  return {
+    schemaVersion: 3,
+    id: 'it_5c1d',
+    nombre: 'Oporto',
+    destino: 'Oporto, Portugal',
+    fechaInicio: '2026-06-01',
+    fechaFin: '2026-06-01',
+    estado: 'planificando',
+    budget: 800,
+    notas: '',
+    rev: 2,
+    timeZone: 'Europe/Lisbon',
+    jornada: { inicio: '21:00', fin: '08:00' },
+    days: [{ date: '2026-06-01', timeZone: 'Europe/Lisbon', activities: [actividad] }],
+    expenses: [],
+    checklist: [],
+  };
+}
+
+test('los campos opcionales mal formados se descartan al migrar en lugar de poner el viaje en cuarentena', () => {
+  const result = upgradeItinerario(registroV3({
+    id: 'act_1',
+    name: 'Livraria Lello',
+    time: '10:00',
+    duration: '1h',
+    lat: 91,
+    lng: -8.61,
+    travelMode: 'bici',
+    fixedTime: 'sí',
+    horario: { abre: '19:00', cierra: '09:00' },
+  }));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.itinerario.schemaVersion, SCHEMA_VERSION);
+  assert.equal(result.itinerario.jornada, null);
+  const [act] = result.itinerario.days[0].activities;
+  assert.deepEqual(
+    [act.lat, act.lng, act.travelMode, act.fixedTime, act.horario],
+    [null, null, null, false, null]
+  );
+});
+
+test('los campos opcionales válidos se conservan', () => {
+  const horario = { abre: '09:00', cierra: '19:00' };
+  const result = upgradeItinerario(registroV3({
+    id: 'act_1', name: 'Torre dos Clérigos', time: '10:00', duration: '1h',
+    lat: 41.1456, lng: -8.6146, travelMode: 'walk', fixedTime: true, horario,
+  }));
+
+  assert.equal(result.ok, true);
+  const [act] = result.itinerario.days[0].activities;
+  assert.deepEqual([act.lat, act.lng, act.travelMode, act.fixedTime, act.horario], [41.1456, -8.6146, 'walk', true, horario]);
+});
+
+test('un registro sin los campos obligatorios sigue sin poder cargarse', () => {
+  const result = upgradeItinerario({ ...registroV3({ id: 'act_1', name: 'x', time: '' }), fechaInicio: 'mañana' });
+  assert.equal(result.ok, false);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planImport } from '../js/modules/itinerary-transfer.js';
+
+function itinerario(id, actId) {
+  return {
+    id,
+    nombre: 'Berlín',
+    destino: 'Berlín, Alemania',
+    fechaInicio: '2026-10-01',
+    fechaFin: '2026-10-01',
+    days: [{ date: '2026-10-01', activities: [{ id: actId, name: 'Museumsinsel', time: '10:00' }] }],
+    expenses: [],
+    checklist: [],
+  };
+}
+
+test('los IDs mal formados se cuentan aparte de los que coinciden con los guardados', () => {
+  const existentes = [itinerario('it_100', 'act_100')];
+  const importados = [
+    { ...itinerario('it_100', 'act_200'), nombre: 'Berlín (copia)' },
+    itinerario('"><img src=x>', 'act 1'),
+  ];
+
+  const plan = planImport(importados, existentes, 'merge');
+
+  assert.deepEqual(plan.remapped, { itinerarios: 1, actividades: 0, gastos: 0 });
+  assert.deepEqual(plan.regenerados, { itinerarios: 1, actividades: 1, gastos: 0 });
+  assert.ok(plan.itinerarios.every(it => /^it_[0-9a-f]+$/.test(it.id)));
+});
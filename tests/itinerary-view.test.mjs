@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_VIEW,
+  normalizeView,
+  viewToSearch,
+  matchesView,
+  sortByView,
+  groupByView,
+} from '../js/modules/itinerary-view.js';
+
+const HOY = '2026-06-15';
+
+const viajes = [
+  { id: 'it_1', destino: 'Kioto, Japón', estado: 'completado', fechaInicio: '2025-11-02', fechaFin: '2025-11-09', budget: 2500, creadoEn: '2025-09-01' },
+  { id: 'it_2', destino: 'Lisboa, Portugal', estado: 'confirmado', fechaInicio: '2026-06-10', fechaFin: '2026-06-20', budget: 900, creadoEn: '2026-01-10' },
+  { id: 'it_3', destino: 'Osaka, Japón', estado: 'planificando', fechaInicio: '2026-10-01', fechaFin: '2026-10-04', budget: 1800, creadoEn: '2026-03-05' },
+];
+
+const vista = cambios => ({ ...DEFAULT_VIEW, ...cambios });
+const ids = lista => lista.map(it => it.id);
+
+test('normalizeView descarta valores desconocidos y ordena el rango de fechas', () => {
+  assert.deepEqual(
+    normalizeView({ estado: 'borrado', orden: 'inicio', desde: '2026-12-31', hasta: '2026-01-01', agrupar: 'mes' }),
+    vista({ orden: 'inicio', direccion: 'asc', desde: '2026-01-01', hasta: '2026-12-31' })
+  );
+});
+
+test('viewToSearch solo escribe lo que no es por defecto y conserva los parámetros ajenos', () => {
+  assert.equal(viewToSearch(vista({ orden: 'inicio', direccion: 'asc' }), 'ref=mail'), 'ref=mail&orden=inicio');
+  assert.equal(viewToSearch(vista({ orden: 'inicio', direccion: 'desc' })), 'orden=inicio&dir=desc');
+  assert.equal(viewToSearch(DEFAULT_VIEW), '');
+});
+
+test('matchesView filtra por momento y por rango, con que se solape un día basta', () => {
+  assert.deepEqual(ids(viajes.filter(it => matchesView(it, vista({ momento: 'en-curso' }), HOY))), ['it_2']);
+  assert.deepEqual(ids(viajes.filter(it => matchesView(it, vista({ momento: 'proximos' }), HOY))), ['it_3']);
+  assert.deepEqual(
+    ids(viajes.filter(it => matchesView(it, vista({ desde: '2026-06-20', hasta: '2026-10-01' }), HOY))),
+    ['it_2', 'it_3']
+  );
+});
+
+test('sortByView ordena por la clave y dirección de la vista sin tocar la lista', () => {
+  const copia = [...viajes];
+  assert.deepEqual(ids(sortByView(viajes, vista({ orden: 'duracion', direccion: 'desc' }))), ['it_2', 'it_1', 'it_3']);
+  assert.deepEqual(ids(sortByView(viajes, vista({ orden: 'presupuesto', direccion: 'asc' }))), ['it_2', 'it_3', 'it_1']);
+  assert.deepEqual(viajes, copia);
+});
+
+test('groupByView agrupa por país y por año', () => {
+  const porPais = groupByView(viajes, vista({ agrupar: 'pais' }));
+  assert.deepEqual(porPais.map(g => [g.label, ids(g.items)]), [['Japón', ['it_1', 'it_3']], ['Portugal', ['it_2']]]);
+
+  const porAnio = groupByView(sortByView(viajes, vista({ orden: 'inicio', direccion: 'asc' })),
+    vista({ agrupar: 'anio', orden: 'inicio', direccion: 'asc' }));
+  assert.deepEqual(porAnio.map(g => [g.key, ids(g.items)]), [['2025', ['it_1']], ['2026', ['it_2', 'it_3']]]);
+
+  assert.deepEqual(groupByView(viajes, DEFAULT_VIEW), [{ key: 'todos', label: null, items: viajes }]);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planRouteOptimization } from '../js/modules/route-optimizer.js';
+import { getTravelSettings } from '../js/modules/travel.js';
+
+const settings = getTravelSettings({});
+
+// a y c están a unos 100 m; b y la reserva d, a unos 3 km de ellas
+function buildDay(duracionB) {
+  const act = (id, time, duration, lat, extra = {}) =>
+    ({ id, name: id, time, duration, lat, lng: -3.7, type: 'sightseeing', ...extra });
+  return {
+    date: '2026-05-01',
+    timeZone: 'Europe/Madrid',
+    activities: [
+      act('act_a', '10:00', '1h', 40.4),
+      act('act_b', '11:00', duracionB, 40.43),
+      act('act_c', '13:30', '30m', 40.401),
+      act('act_d', '14:00', '1h', 40.431, { fixedTime: true }),
+    ],
+  };
+}
+
+test('las horas propuestas dejan el traslado entre actividades', () => {
+  const plan = planRouteOptimization(buildDay('2h'), settings);
+
+  assert.ok(plan.cambios);
+  assert.deepEqual(plan.orden.map(({ act, time }) => [act.id, time]), [
+    ['act_a', '10:00'],
+    ['act_c', '11:02'],
+    ['act_b', '11:52'],
+    ['act_d', '14:00'],
+  ]);
+});
+
+test('un orden que no llega a tiempo a la de hora fija se descarta', () => {
+  const plan = planRouteOptimization(buildDay('2h15m'), settings);
+
+  assert.equal(plan.cambios, false);
+  assert.equal(plan.descartados, 1);
+  assert.deepEqual(plan.orden.map(({ act, time }) => [act.id, time]), [
+    ['act_a', '10:00'],
+    ['act_b', '11:00'],
+    ['act_c', '13:30'],
+    ['act_d', '14:00'],
+  ]);
+});
+
+test('un orden que deja actividades pasada la medianoche se descarta', () => {
+  const act = (id, time, lat) => ({ id, name: id, time, duration: '1h', lat, lng: -3.7, type: 'activity' });
+  const day = {
+    date: '2026-05-01',
+    timeZone: 'Europe/Madrid',
+    activities: [act('act_a', '22:00', 40.4), act('act_b', '23:00', 40.43), act('act_c', '23:59', 40.401)],
+  };
+
+  const plan = planRouteOptimization(day, settings);
+
+  assert.equal(plan.cambios, false);
+  assert.equal(plan.descartados, 1);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSearchIndex, tokenize } from '../js/modules/search-index.js';
+
+function itinerario(id, destino, actividades = []) {
+  return {
+    id,
+    destino,
+    nombre: '',
+    notas: '',
+    days: [{ date: '2026-03-01', activities: actividades.map((name, i) => ({ id: `act_${id}${i}`, name })) }],
+    expenses: [],
+    checklist: [],
+  };
+}
+
+test('tokenize normaliza acentos y separa por lo que no es letra o número', () => {
+  assert.deepEqual(tokenize('Kinkaku-ji, Japón'), ['kinkaku', 'ji', 'japon']);
+});
+
+test('cada palabra de la búsqueda tiene que empezar alguna del itinerario', () => {
+  const index = createSearchIndex();
+  index.sync([
+    itinerario('it_1', 'Kioto, Japón', ['Kinkaku-ji']),
+    itinerario('it_2', 'Osaka, Japón', ['Dotonbori']),
+  ]);
+
+  assert.deepEqual([...index.search('japon').keys()].sort(), ['it_1', 'it_2']);
+  assert.deepEqual([...index.search('japon kin').keys()], ['it_1']);
+  assert.equal(index.search('japon kin').get('it_1').matches[0].label, 'destino');
+});
+
+test('update reindexa solo ese itinerario y deja de encontrar lo que ya no tiene', () => {
+  const index = createSearchIndex();
+  const kioto = itinerario('it_1', 'Kioto', ['Kinkaku-ji']);
+  index.update(kioto);
+
+  index.update({ ...kioto, days: [{ date: '2026-03-01', activities: [{ id: 'act_1', name: 'Ginkaku-ji' }] }] });
+
+  assert.equal(index.search('kinkaku').size, 0);
+  assert.deepEqual([...index.search('ginkaku').keys()], ['it_1']);
+  assert.equal(index.size, 1);
+});
+
+test('sync quita los que ya no están y no reindexa los que no han cambiado', () => {
+  const index = createSearchIndex();
+  const kioto = itinerario('it_1', 'Kioto');
+  const osaka = itinerario('it_2', 'Osaka');
+  index.sync([kioto, osaka]);
+
+  // Mismo objeto: si se reindexara, leería el destino cambiado en sitio
+  kioto.destino = 'Nara';
+  index.sync([kioto]);
+
+  assert.equal(index.size, 1);
+  assert.equal(index.search('osaka').size, 0);
+  assert.deepEqual([...index.search('kioto').keys()], ['it_1']);
+  assert.equal(index.search('nara').size, 0);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../js/config.js';
+import { encodeItinerario, decodeItinerario, ShareLinkError } from '../js/modules/share-link.js';
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+test('un enlace que se descomprime por encima del tope se rechaza', async () => {
+  const bomba = await deflate(new Uint8Array(CONFIG.SHARE.MAX_DECODED_BYTES + 1).fill(0x20));
+  const payload = [CONFIG.SHARE.VERSION, 'd', '00000000', Buffer.from(bomba).toString('base64url')].join('.');
+
+  await assert.rejects(decodeItinerario(payload), ShareLinkError);
+});
+
+test('el texto compartido llega tal cual (se escapa al pintarlo)', async () => {
+  const nombre = '<img src=x onerror="alert(1)"> & \'comillas\'';
+  const payload = await encodeItinerario({
+    id: 'it_1a2b',
+    nombre,
+    destino: 'Lisboa',
+    fechaInicio: '2026-05-01',
+    fechaFin: '2026-05-01',
+    estado: 'planificando',
+    budget: 500,
+    notas: '',
+    timeZone: 'Europe/Lisbon',
+    days: [{ date: '2026-05-01', timeZone: 'Europe/Lisbon', activities: [] }],
+    expenses: [],
+    checklist: [],
+  });
+
+  const itinerario = await decodeItinerario(payload);
+  assert.equal(itinerario.nombre, nombre);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToInstant,
+  instantToZonedTime,
+  convertZonedTime,
+  formatTimeZoneOffset,
+  addDaysToDate,
+  daysBetween,
+  countTripDays,
+} from '../js/modules/time-zone.js';
+
+const MADRID = 'Europe/Madrid';
+
+test('el desfase sigue el horario de verano de la zona', () => {
+  assert.equal(getTimeZoneOffset(Date.UTC(2026, 0, 15, 12), MADRID), 60);
+  assert.equal(getTimeZoneOffset(Date.UTC(2026, 6, 15, 12), MADRID), 120);
+  assert.equal(getTimeZoneOffset(Date.UTC(2026, 6, 15, 12), 'America/Sao_Paulo'), -180);
+  assert.equal(formatTimeZoneOffset(Date.UTC(2026, 0, 15), MADRID), 'UTC+1');
+  assert.equal(formatTimeZoneOffset(Date.UTC(2026, 0, 15), 'Asia/Kolkata'), 'UTC+5:30');
+  assert.equal(formatTimeZoneOffset(Date.UTC(2026, 0, 15), 'America/St_Johns'), 'UTC−3:30');
+  assert.equal(formatTimeZoneOffset(Date.UTC(2026, 0, 15), 'UTC'), 'UTC');
+});
+
+test('zonedTimeToInstant resuelve las horas a ambos lados del adelanto de primavera', () => {
+  assert.equal(zonedTimeToInstant('2026-03-29', '01:30', MADRID), Date.UTC(2026, 2, 29, 0, 30));
+  assert.equal(zonedTimeToInstant('2026-03-29', '03:00', MADRID), Date.UTC(2026, 2, 29, 1, 0));
+});
+
+test('una hora que no existe por el adelanto cae después del salto', () => {
+  const instant = zonedTimeToInstant('2026-03-29', '02:30', MADRID);
+  assert.equal(instant, Date.UTC(2026, 2, 29, 1, 30));
+  assert.deepEqual(instantToZonedTime(instant, MADRID), { date: '2026-03-29', time: '03:30' });
+});
+
+test('una hora repetida por el atraso de otoño es la primera de las dos', () => {
+  const instant = zonedTimeToInstant('2026-10-25', '02:30', MADRID);
+  assert.equal(instant, Date.UTC(2026, 9, 25, 0, 30));
+  assert.deepEqual(instantToZonedTime(instant, MADRID), { date: '2026-10-25', time: '02:30' });
+  // La segunda vez que el reloj marca las 02:30 sigue leyéndose como tal
+  assert.deepEqual(instantToZonedTime(Date.UTC(2026, 9, 25, 1, 30), MADRID), { date: '2026-10-25', time: '02:30' });
+  assert.equal(zonedTimeToInstant('2026-10-25', '03:30', MADRID), Date.UTC(2026, 9, 25, 2, 30));
+});
+
+test('las horas de pared van y vuelven sin cambios fuera de los saltos', () => {
+  for (const [date, time, zone] of [
+    ['2026-04-10', '23:30', 'Asia/Tokyo'],
+    ['2026-11-01', '00:15', 'America/New_York'],
+    ['2026-03-08', '03:00', 'America/New_York'],
+    ['2026-12-31', '12:00', 'Asia/Kolkata'],
+  ]) {
+    assert.deepEqual(instantToZonedTime(zonedTimeToInstant(date, time, zone), zone), { date, time });
+  }
+});
+
+test('convertZonedTime cambia de día cuando la diferencia lo cruza', () => {
+  assert.deepEqual(convertZonedTime('2026-04-10', '23:30', MADRID, 'Asia/Tokyo'), { date: '2026-04-11', time: '06:30' });
+  assert.deepEqual(convertZonedTime('2026-04-11', '06:30', 'Asia/Tokyo', MADRID), { date: '2026-04-10', time: '23:30' });
+  assert.deepEqual(convertZonedTime('2026-01-10', '08:00', MADRID, 'America/New_York'), { date: '2026-01-10', time: '02:00' });
+});
+
+test('las fechas de calendario no se mueven con los cambios de hora', () => {
+  assert.equal(addDaysToDate('2026-03-28', 1), '2026-03-29');
+  assert.equal(addDaysToDate('2026-03-29', 1), '2026-03-30');
+  assert.equal(addDaysToDate('2026-10-25', -1), '2026-10-24');
+  assert.equal(addDaysToDate('2026-12-31', 1), '2027-01-01');
+  assert.equal(daysBetween('2026-10-24', '2026-10-26'), 2);
+  assert.equal(daysBetween('2026-03-30', '2026-03-28'), -2);
+  assert.equal(countTripDays('2026-03-28', '2026-03-30'), 3);
+  assert.equal(countTripDays('2026-03-30', '2026-03-28'), 1);
+  assert.equal(countTripDays('', '2026-03-28'), 1);
+});
+
+test('isValidTimeZone solo acepta zonas IANA que el entorno reconoce', () => {
+  assert.equal(isValidTimeZone('Asia/Tokyo'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Marte/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
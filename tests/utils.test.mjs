@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sanitize } from '../js/utils.js';
+
+test('sanitize escapa también las comillas para poder usarse en atributos', () => {
+  assert.equal(
+    sanitize(`"><img src=x onerror='alert(1)'> & co`),
+    '&quot;&gt;&lt;img src=x onerror=&#39;alert(1)&#39;&gt; &amp; co'
+  );
+});
+
+test('sanitize convierte a texto lo que no es una cadena', () => {
+  assert.equal(sanitize(42), '42');
+  assert.equal(sanitize(null), '');
+  assert.equal(sanitize(undefined), '');
+});